@@ -4,24 +4,245 @@
  * Date: 2024-07-01
  */
 
+const EventEmitter = require('events')
+const {Readable} = require('stream')
+
 const ZTCP = require('./src/ztcp')
 const ZUDP = require('./src/zudp')
 
-const {ZkError, ERROR_TYPES} = require('./src/exceptions/handler')
+const {ZkError, ERROR_TYPES, AbortError, ValidationError} = require('./src/exceptions/handler')
+const {COMMANDS, OPERATION_NAMES} = require('./src/helper/command')
+const {computeBackoffDelay} = require('./src/helper/utils')
+const {CommandQueue, PRIORITY} = require('./src/helper/queue')
+const {planUserSync, allocateUids} = require('./src/helper/users')
+const {SMS_TAGS, allocateSmsId} = require('./src/helper/sms')
+const {VERIFY_MODES} = require('./src/helper/access')
+
+const TRANSPORTS = ['auto', 'tcp', 'udp']
+
+const DEFAULT_OPTIONS = {
+    port: 4370,
+    timeout: 5000,
+    transport: 'auto',
+    commKey: 0,
+    logger: console,
+    reconnect: null,
+    heartbeat: null,
+    userCache: false
+}
 
-class ZktecoJs {
-    constructor(ip, port, timeout, inport) {
-        this.connectionType = null
+const DEFAULT_RECONNECT_POLICY = {
+    maxAttempts: 10,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.2
+}
+
+/**
+ * Merge with the defaults, options left undefined (e.g. skipped positional
+ * arguments) keep their default
+ */
+const resolveOptions = (options) => {
+    const resolved = {...DEFAULT_OPTIONS}
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) {
+            resolved[key] = value
+        }
+    }
+    return resolved
+}
+
+/**
+ * Emits:
+ * - `connected` ({transport}) once a connection is open, after reconnects too
+ * - `disconnected` ({transport, manual}) when the connection is lost or disconnect() is called
+ * - `reconnecting` ({attempt, delay}), `reconnected` ({attempt, transport}), `reconnectFailed` (error)
+ * - `heartbeatMissed` (missedBeats)
+ * - `attendance` (log) for every real-time attendance log
+ * - `event` ({type, data}) for other real-time device events
+ * - `doorUnlocked` ({seconds, operator, at}) after a remote unlock
+ * - `doorOpened` / `doorClosed` ({at}) door state changes seen by watchDoorState
+ * - `error` (error) socket errors, only when an `error` listener is attached
+ */
+class ZktecoJs extends EventEmitter {
+    /**
+     * Accepts either an options object or the positional arguments
+     * `(ip, port, timeout, inport, transport, commKey)`.
+     * @param {string|Object} ip - device address, or the options object
+     * @param {string} ip.ip
+     * @param {number} [ip.port=4370]
+     * @param {number} [ip.timeout=5000] - default wait for a reply
+     * @param {number} [ip.inport] - local port the UDP socket binds to
+     * @param {string} [ip.transport='auto'] - 'auto', 'tcp' or 'udp'
+     * @param {number|string} [ip.commKey=0] - comm key (password) configured on the device, 0 when unset
+     * @param {Object} [ip.logger=console] - receives info, warn and error calls
+     * @param {number} [ip.connectTimeout=2000] - wait for the CMD_CONNECT reply
+     * @param {number} [ip.chunkTimeout] - wait for one chunk of a bulk read (10000 over TCP, 3000 over UDP)
+     * @param {number} [ip.chunkWindow=4] - chunk requests of a bulk read in flight at once
+     * @param {number} [ip.userPacketSize] - user record size, 28 or 72, detected from the device when omitted
+     * @param {Object|boolean} [ip.reconnect] - auto-reconnect policy, see enableAutoReconnect
+     * @param {Object|boolean} [ip.heartbeat] - heartbeat options, see startHeartbeat
+     * @param {boolean} [ip.userCache=false] - keep the users in memory for getUser, findUsers and
+     * nextFreeUid, dropped after every user write
+     * @example
+     * new ZktecoJs({ip: '192.168.1.201', commKey: 1234, timeout: 3000, reconnect: true})
+     */
+    constructor(ip, port, timeout, inport, transport, commKey) {
+        super()
+
+        const options = resolveOptions(
+            typeof ip === 'object' && ip !== null ? ip : {ip, port, timeout, inport, transport, commKey}
+        )
 
-        this.ztcp = new ZTCP(ip, port, timeout)
-        this.zudp = new ZUDP(ip, port, timeout, inport)
+        if (!TRANSPORTS.includes(options.transport)) {
+            throw new Error(`Invalid transport "${options.transport}": must be one of ${TRANSPORTS.join(', ')}`)
+        }
+
+        this.options = options
+        this.logger = options.logger
+        this.connectionType = null
+        this.transport = options.transport
+
+        const transportOptions = {
+            logger: options.logger,
+            connectTimeout: options.connectTimeout,
+            chunkTimeout: options.chunkTimeout,
+            chunkWindow: options.chunkWindow,
+            userPacketSize: options.userPacketSize
+        }
+        this.ztcp = new ZTCP(options.ip, options.port, options.timeout, options.commKey, transportOptions)
+        this.zudp = new ZUDP(options.ip, options.port, options.timeout, options.inport, options.commKey, transportOptions)
         this.interval = null
         this.timer = null
-        this.isBusy = false
-        this.ip = ip
+        this.ip = options.ip
+
+        // One exchange with the device at a time, shared by both transports and the heartbeat
+        this.queue = new CommandQueue()
+        this.ztcp.queue = this.queue
+
+        this.socketCallbacks = {cbErr: null, cbClose: null}
+        this.reconnectPolicy = null
+        this.reconnectTimer = null
+        this.reconnecting = false
+        this.realTimeLogsCallback = null
+        this.heartbeatOptions = null
+
+        // Filled by getUsers when the userCache option is on
+        this.userDirectory = null
+
+        // Door state polling, see watchDoorState
+        this.doorWatch = null
+
+        // Real-time logs of both transports are re-emitted as 'attendance'
+        this.realTimeRegistered = false
+        this.dispatchRealTimeLog = (log) => this.emit('attendance', log)
+
+        // Other CMD_REG_EVENT packets, the session id field carries the event type
+        this.ztcp.eventChannel.on('event', (packet) => {
+            if (packet.sessionId !== COMMANDS.EF_ATTLOG) {
+                this.emit('event', {type: packet.sessionId, data: packet.payload})
+            }
+        })
+
+        // Attendance listeners attached while connected subscribe right away
+        this.on('newListener', (event) => {
+            if (event === 'attendance' && this.connectionType && !this.realTimeRegistered) {
+                this.registerRealTimeLogs().catch(err => this.emitError(err))
+            }
+        })
+
+        if (options.reconnect) {
+            this.enableAutoReconnect(options.reconnect === true ? {} : options.reconnect)
+        }
+
+        // Started by applyHeartbeat once a connection is open
+        if (options.heartbeat) {
+            this.heartbeatOptions = options.heartbeat === true ? {} : options.heartbeat
+        }
+    }
+
+    /**
+     * Emit 'error' only when somebody listens, an unhandled 'error' event would throw
+     */
+    emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err)
+        }
+    }
+
+    /**
+     * Whether an operation is running, derived from the command queue
+     */
+    get isBusy() {
+        return this.queue.running
+    }
+
+    /**
+     * Ignored: isBusy used to be a plain property, code that still assigns it
+     * must not throw in strict mode
+     */
+    set isBusy(value) {
+    }
+
+    /**
+     * Number of operations waiting for the device, the running one excluded
+     * @returns {number}
+     */
+    getQueueDepth() {
+        return this.queue.size
+    }
+
+    /**
+     * Throughput of the last bulk read on the active transport
+     * @returns {{bytes: number, chunks: number, duration: number, bytesPerSecond: number}|null}
+     */
+    getTransferStats() {
+        if (this.connectionType === 'udp') {
+            return this.zudp.lastTransferStats
+        }
+        return this.ztcp.lastTransferStats
+    }
+
+    /**
+     * Whether the active transport still has an open socket
+     * @returns {boolean}
+     */
+    isConnected() {
+        if (this.connectionType === 'tcp') {
+            return !!(this.ztcp && this.ztcp.socket)
+        }
+        if (this.connectionType === 'udp') {
+            return !!(this.zudp && this.zudp.socket)
+        }
+        return false
     }
 
-    async functionWrapper(tcpCallback, udpCallback, command) {
+    /**
+     * Queue the operation and run it on the active transport once the
+     * operations ahead of it have finished.
+     * @param {Function} tcpCallback
+     * @param {Function} [udpCallback]
+     * @param {string} [command] - name used in error context
+     * @param {number} [priority] - one of ZktecoJs.PRIORITY
+     * @param {Object} [abort] - {signal, cleanup}, cleanup lists the commands sent to the device after an abort
+     */
+    async functionWrapper(tcpCallback, udpCallback, command, priority = PRIORITY.NORMAL, {signal = null, cleanup = []} = {}) {
+        if (signal) {
+            const tcpOperation = tcpCallback
+            const udpOperation = udpCallback
+            tcpCallback = () => this.ztcp.withAbort(signal, tcpOperation, cleanup)
+            udpCallback = udpOperation && (() => this.zudp.withAbort(signal, udpOperation, cleanup))
+        }
+
+        return await this.queue.push(
+            () => this.runOnTransport(tcpCallback, udpCallback, command),
+            priority,
+            signal
+        )
+    }
+
+    async runOnTransport(tcpCallback, udpCallback, command) {
         try {
             switch (this.connectionType) {
                 case 'tcp':
@@ -36,6 +257,14 @@ class ZktecoJs {
                     }
 
                 case 'udp':
+                    if (typeof udpCallback !== 'function') {
+                        throw new ZkError(
+                            new Error(`This command isn't supported over UDP!`),
+                            `[UDP] ${command}`,
+                            this.ip
+                        );
+                    }
+
                     if (this.zudp && this.zudp.socket) {
                         return await udpCallback();
                     } else {
@@ -54,57 +283,348 @@ class ZktecoJs {
                     );
             }
         } catch (err) {
+            // Aborts are expected, keep them recognisable
+            if (err instanceof AbortError) {
+                throw err
+            }
+
             // Wrap the error in a ZkError and include context
             throw new ZkError(
                 err,
-                `[${this.connectionType.toUpperCase()}] ${command}`,
+                `[${(this.connectionType || 'none').toUpperCase()}] ${command}`,
                 this.ip
             );
         }
     }
 
+    /**
+     * Connect to the device, trying TCP first and falling back to UDP when
+     * the TCP connection can't be established (older terminals only answer UDP).
+     * Set `transport` to 'tcp' or 'udp' in the constructor to skip the fallback.
+     * @param {Function} [cbErr] - called when the socket in use reports an error, failed
+     * connect attempts reject instead
+     * @param {Function} [cbClose] - called with the transport name when the socket closes
+     * @returns {Promise<string>} - the transport that was picked ('tcp' or 'udp')
+     */
     async createSocket(cbErr, cbClose) {
-        try {
-            if (this.ztcp.socket) {
-                // If TCP socket already exists, try to connect
-                try {
-                    await this.ztcp.connect();
-                    console.log('TCP reconnection successful');
-                    this.connectionType = 'tcp';
-                    return true; // Return true if TCP connection is successful
-                } catch (err) {
-                    throw new ZkError(err, 'TCP CONNECT', this.ip);
+        this.socketCallbacks = {cbErr, cbClose}
+        return await this.openConnection()
+    }
+
+    async openConnection() {
+        // Errors of a transport that isn't in use, e.g. the refused TCP socket before
+        // the fallback to UDP, fail its connect attempt and are only reported by the
+        // throw below when no transport could connect
+        const cbErr = (transport) => (err) => {
+            if (transport !== this.connectionType) {
+                return
+            }
+            const {cbErr: callback} = this.socketCallbacks
+            if (typeof callback === 'function') callback(err)
+            this.emitError(err)
+        }
+        const cbClose = (transport) => this.handleSocketClose(transport)
+        const transports = this.transport === 'auto' ? ['tcp', 'udp'] : [this.transport]
+        let lastError = null
+
+        for (const transport of transports) {
+            try {
+                if (transport === 'tcp') {
+                    await this.createTCPSocket(cbErr('tcp'), cbClose)
+                } else {
+                    await this.createUDPSocket(cbErr('udp'), cbClose)
                 }
-            } else {
-                // Attempt to create and connect TCP socket
-                try {
-                    await this.ztcp.createSocket(cbErr, cbClose);
-
-                    // Get password from environment variable or configuration
-                    const password = process.env.ZKTECO_PASSWORD || '';
-                    if (!password) {
-                        throw new Error('ZKTECO_PASSWORD environment variable is not set');
-                    }
 
-                    await this.ztcp.connectWithAuth(password);
-                    console.log('TCP connection successful');
-                    this.connectionType = 'tcp';
-                    return true; // Return true if TCP connection is successful
-                } catch (err) {
-                    throw new ZkError(err, 'TCP CONNECT', this.ip);
+                this.connectionType = transport
+                this.realTimeRegistered = false
+                this.applyHeartbeat()
+
+                // Restore the real-time subscription, e.g. after a reconnect
+                if (this.listenerCount('attendance') > 0) {
+                    await this.registerRealTimeLogs().catch(err => this.emitError(err))
                 }
+
+                this.emit('connected', {transport})
+                return transport
+            } catch (err) {
+                lastError = err
+                this.logger.error(`[${transport.toUpperCase()}] connection failed:`, err.message || err)
+            }
+        }
+
+        throw new ZkError(lastError, 'SOCKET_CREATE', this.ip)
+    }
+
+    async createTCPSocket(cbErr, cbClose) {
+        try {
+            if (!this.ztcp.socket) {
+                await this.ztcp.createSocket(cbErr, cbClose);
+            }
+
+            // Answers the comm key challenge when the device asks for one
+            await this.ztcp.connect();
+            this.logger.info('TCP connection successful');
+            return true;
+        } catch (err) {
+            // Don't leave a half-open socket behind when falling back to UDP
+            await this.ztcp.closeSocket().catch(() => {});
+            throw new ZkError(err, 'TCP CONNECT', this.ip);
+        }
+    }
+
+    async createUDPSocket(cbErr, cbClose) {
+        try {
+            if (!this.zudp.socket) {
+                await this.zudp.createSocket(cbErr, cbClose);
             }
+
+            await this.zudp.connect();
+            this.logger.info('UDP connection successful');
+            return true;
         } catch (err) {
-            throw new ZkError(err, 'SOCKET_CREATE', this.ip);
+            await this.zudp.closeSocket().catch(() => {});
+            throw new ZkError(err, 'UDP CONNECT', this.ip);
         }
     }
 
+    handleSocketClose(transport) {
+        // Ignore sockets closed while falling back or replaced by a reconnect
+        if (transport !== this.connectionType) {
+            return
+        }
 
-    async getUsers() {
-        return await this.functionWrapper(
-            () => this.ztcp.getUsers(),
-            () => this.zudp.getUsers()
+        this.realTimeRegistered = false
+
+        const {cbClose} = this.socketCallbacks
+        if (typeof cbClose === 'function') cbClose(transport)
+        this.emit('disconnected', {transport, manual: false})
+
+        const policy = this.reconnectPolicy
+        if (!policy || this.reconnecting) {
+            return
+        }
+
+        if (typeof policy.onDisconnected === 'function') policy.onDisconnected(transport)
+
+        this.reconnect().catch(() => {
+            // Already reported through onReconnectFailed
+        })
+    }
+
+    /**
+     * Reconnect automatically when the device drops the connection (reboot,
+     * another client taking over the session, ...).
+     * @param {Object} policy
+     * @param {number} [policy.maxAttempts=10] - attempts before giving up
+     * @param {number} [policy.initialDelay=1000] - delay before the first attempt in ms
+     * @param {number} [policy.maxDelay=30000] - upper bound of the backoff delay in ms
+     * @param {number} [policy.factor=2] - multiplier applied to the delay after each attempt
+     * @param {number} [policy.jitter=0.2] - random spread applied to each delay, as a fraction of it
+     * @param {Function} [policy.onDisconnected] - (transport) the connection was lost
+     * @param {Function} [policy.onReconnecting] - ({attempt, delay}) an attempt is scheduled
+     * @param {Function} [policy.onReconnected] - ({attempt, transport}) the session was restored
+     * @param {Function} [policy.onReconnectFailed] - (error) every attempt failed
+     */
+    enableAutoReconnect(policy = {}) {
+        this.reconnectPolicy = {...DEFAULT_RECONNECT_POLICY, ...policy}
+    }
+
+    disableAutoReconnect() {
+        this.reconnectPolicy = null
+        this.cancelReconnect()
+    }
+
+    cancelReconnect() {
+        this.reconnecting = false
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer)
+            this.reconnectTimer = null
+        }
+    }
+
+    /**
+     * Rebuild the connection with exponential backoff, authenticate again and
+     * re-register the real-time log subscription.
+     * @returns {Promise<string>} - the transport that was picked
+     */
+    async reconnect() {
+        const policy = this.reconnectPolicy || DEFAULT_RECONNECT_POLICY
+        let lastError = null
+
+        this.reconnecting = true
+        this.connectionType = null
+        this.dropSockets()
+
+        for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+            const delay = computeBackoffDelay(attempt, policy)
+            if (typeof policy.onReconnecting === 'function') policy.onReconnecting({attempt, delay})
+            this.emit('reconnecting', {attempt, delay})
+
+            await new Promise(resolve => {
+                this.reconnectTimer = setTimeout(resolve, delay)
+            })
+            this.reconnectTimer = null
+
+            // disconnect() was called while waiting
+            if (!this.reconnecting) {
+                throw new ZkError(new Error('Reconnect cancelled'), 'RECONNECT', this.ip)
+            }
+
+            try {
+                // Also restores the real-time subscription
+                const transport = await this.openConnection()
+
+                this.reconnecting = false
+                if (typeof policy.onReconnected === 'function') policy.onReconnected({attempt, transport})
+                this.emit('reconnected', {attempt, transport})
+                return transport
+            } catch (err) {
+                lastError = err
+                this.connectionType = null
+                this.dropSockets()
+            }
+        }
+
+        this.reconnecting = false
+        const error = new ZkError(lastError, 'RECONNECT', this.ip)
+        if (typeof policy.onReconnectFailed === 'function') policy.onReconnectFailed(error)
+        this.emit('reconnectFailed', error)
+        throw error
+    }
+
+    /**
+     * Keep idle TCP sessions alive and detect dead connections. A dead
+     * connection is closed, which triggers auto-reconnect when it's enabled.
+     * The heartbeat survives reconnects. Only available over TCP.
+     * @param {Object} options - see ZTCP.startHeartbeat
+     */
+    startHeartbeat(options = {}) {
+        this.heartbeatOptions = options
+        this.applyHeartbeat()
+    }
+
+    stopHeartbeat() {
+        this.heartbeatOptions = null
+        this.ztcp.stopHeartbeat()
+    }
+
+    applyHeartbeat() {
+        if (!this.heartbeatOptions) {
+            return
+        }
+
+        if (this.connectionType === 'tcp') {
+            const {onMissed} = this.heartbeatOptions
+            this.ztcp.startHeartbeat({
+                ...this.heartbeatOptions,
+                onMissed: (missedBeats) => {
+                    if (typeof onMissed === 'function') onMissed(missedBeats)
+                    this.emit('heartbeatMissed', missedBeats)
+                }
+            })
+        } else if (this.connectionType === 'udp') {
+            this.logger.warn('Heartbeat is only available over TCP')
+        }
+    }
+
+    dropSockets() {
+        this.ztcp.stopHeartbeat()
+
+        if (this.ztcp.socket) {
+            this.ztcp.socket.destroy()
+            this.ztcp.socket = null
+        }
+
+        if (this.zudp.socket) {
+            this.zudp.socket.close()
+            this.zudp.socket = null
+        }
+    }
+
+    /**
+     * @param {Object} [options] - {timeout} for this read, overrides the constructor timeouts,
+     * {window} chunk requests in flight
+     */
+    async getUsers(options = {}) {
+        const result = await this.functionWrapper(
+            () => this.ztcp.getUsers(options),
+            () => this.zudp.getUsers(options),
+            'GET_USERS',
+            PRIORITY.LOW
         )
+
+        // Only a complete read is cached, a truncated one would hide taken uids
+        if (this.options.userCache && !result.err) {
+            this.userDirectory = result.data
+        }
+        return result
+    }
+
+    /**
+     * Users of the device, from the directory when the userCache option is on
+     * and it is still valid. Rejects when the read fails or is partial.
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadUsers() {
+        if (this.userDirectory) {
+            return this.userDirectory
+        }
+        const {data, err} = await this.getUsers()
+        if (err) {
+            throw new ZkError(err, 'GET_USERS', this.ip)
+        }
+        return data
+    }
+
+    /**
+     * Drop the cached users, the next lookup reads them from the device again
+     */
+    invalidateUserCache() {
+        this.userDirectory = null
+    }
+
+    /**
+     * @param {string|number} userId
+     * @returns {Promise<Object|null>} the user, null when there is none with this userId
+     */
+    async getUser(userId) {
+        const users = await this.loadUsers()
+        return users.find(user => user.userId === String(userId)) || null
+    }
+
+    /**
+     * @param {Function} predicate - (user) => boolean
+     * @returns {Promise<Array<Object>>}
+     * @example
+     * const [holder] = await zk.findUsers(user => user.cardno === 4000123456)
+     */
+    async findUsers(predicate) {
+        const users = await this.loadUsers()
+        return users.filter(predicate)
+    }
+
+    /**
+     * Smallest uid no user has yet
+     * @returns {Promise<number>}
+     */
+    async nextFreeUid() {
+        const users = await this.loadUsers()
+        return allocateUids(new Set(users.map(user => user.uid)), 1)[0]
+    }
+
+    /**
+     * Delete a user by the userId instead of the internal uid
+     * @param {string|number} userId
+     * @returns {Promise<boolean>} false when there is no user with this userId
+     */
+    async deleteUserByUserId(userId) {
+        const user = await this.getUser(userId)
+        if (!user) {
+            return false
+        }
+
+        await this.deleteUser(user.uid)
+        return true
     }
 
     async getTime() {
@@ -205,45 +725,618 @@ class ZktecoJs {
         )
     }
 
-    async setUser(uid, userid, name, password = '', role = 0, cardno = 0, faceTemplate = null) {
+    /**
+     * Create or overwrite a user. Takes either a user object or the positional fields.
+     * @param {Object|number} uid - {uid, userId, name, password, role, cardno, group, enabled} or the uid
+     * @example
+     * await zk.setUser({uid: 12, userId: 'E-1042', name: 'Jane', cardno: 4000123456, group: '1', enabled: false})
+     * @throws {ZkError} wrapping a ValidationError whose `field` names the invalid field
+     */
+    async setUser(uid, userid, name, password = '', role = 0, cardno = 0) {
+        try {
+            return await this.functionWrapper(
+                () => this.ztcp.setUser(uid, userid, name, password, role, cardno),
+                () => this.zudp.setUser(uid, userid, name, password, role, cardno)
+            )
+        } finally {
+            this.invalidateUserCache()
+        }
+    }
+
+    /**
+     * Write many users in one buffer transfer. The device is disabled while the
+     * roster is written and enabled again afterwards, even when the upload fails.
+     * @param {Array<Object>} users - user objects as accepted by setUser, plus an optional
+     * verifyMode (one of ZktecoJs.VERIFY_MODES)
+     * @param {Object} [options] - {timeout} for each command, {verify} (on by default) reads
+     * the users back and compares them, {signal} cancels the upload
+     * @returns {Promise<{results: Array<{uid, userId, success, error}>, succeeded: number, failed: number,
+     * verified: boolean, verifyError: Error|null}>}
+     */
+    async setUsers(users, options = {}) {
+        try {
+            return await this.functionWrapper(
+                () => this.ztcp.setUsers(users, options),
+                () => this.zudp.setUsers(users, options),
+                'SET_USERS',
+                PRIORITY.LOW,
+                {signal: options.signal, cleanup: [COMMANDS.CMD_FREE_DATA]}
+            )
+        } finally {
+            this.invalidateUserCache()
+        }
+    }
+
+    /**
+     * Make the users on the device match a roster, e.g. the export of an HR system.
+     * Users are matched by userId: missing ones are added with a free uid, changed
+     * ones updated and the ones not in the roster deleted.
+     * @param {Array<Object>} desired - users as accepted by setUser, uid optional
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - only compute the plan, the device isn't touched
+     * @param {boolean} [options.deleteMissing=true] - delete device users missing from the roster,
+     * and the extra records of a userId the device holds more than once
+     * @param {number} [options.timeout] - for the reads and writes
+     * @param {AbortSignal} [options.signal] - cancels the upload
+     * @returns {Promise<{dryRun: boolean, plan: Object, added: Array, updated: Array, deleted: Array, failed: Array,
+     * conflicts: Array}>} `updated` holds {user, changes} with the {field, from, to} of each change,
+     * `failed` holds {action, user, error}, `conflicts` the {user, reason} of duplicate records left in place
+     */
+    async syncUsers(desired, options = {}) {
+        const {dryRun = false, deleteMissing = true, timeout, signal} = options
+
+        // Users missing from a failed or partial read would look deleted and
+        // their uids would be handed out again, overwriting them
+        const {data: current, err} = await this.getUsers({timeout})
+        if (err) {
+            throw new ZkError(err, 'SYNC_USERS', this.ip)
+        }
+
+        const {userCounts} = await this.getInfo()
+        if (current.length !== userCounts) {
+            throw new ZkError(
+                new Error(`Read ${current.length} users but the device holds ${userCounts}, sync aborted`),
+                'SYNC_USERS',
+                this.ip
+            )
+        }
+
+        const plan = planUserSync(current, desired, {deleteMissing})
+
+        const report = {dryRun, plan, added: [], updated: [], deleted: [], failed: [], conflicts: plan.conflicts}
+        if (dryRun) {
+            return report
+        }
+
+        for (const user of plan.delete) {
+            try {
+                await this.deleteUser(user.uid)
+                report.deleted.push(user)
+            } catch (err) {
+                report.failed.push({action: 'delete', user, error: err})
+            }
+        }
+
+        const writes = [
+            ...plan.add.map(user => ({action: 'add', user, entry: user})),
+            ...plan.update.map(entry => ({action: 'update', user: entry.user, entry}))
+        ]
+
+        if (writes.length) {
+            const {results} = await this.setUsers(writes.map(write => write.user), {timeout, signal})
+
+            results.forEach((result, index) => {
+                const {action, user, entry} = writes[index]
+                if (result.success) {
+                    report[action === 'add' ? 'added' : 'updated'].push(entry)
+                } else {
+                    report.failed.push({action, user, error: result.error})
+                }
+            })
+        }
+
+        return report
+    }
+
+    /**
+     * @param {number} uid - internal uid, 1 to 65535, see deleteUserByUserId to delete by userId
+     */
+    async deleteUser(uid) {
+        try {
+            return await this.functionWrapper(
+                () => this.ztcp.deleteUser(uid),
+                () => this.zudp.deleteUser(uid)
+            )
+        } finally {
+            this.invalidateUserCache()
+        }
+    }
+
+    /**
+     * @param {number} index - time zone, 1 to 50
+     * @returns {Promise<{index: number, days: Array<{day: string, start: string, end: string}>}>}
+     */
+    async getTimeZone(index) {
         return await this.functionWrapper(
-            () => this.ztcp.setUser(uid, userid, name, password, role, cardno, faceTemplate)
+            () => this.ztcp.getTimeZone(index),
+            () => this.zudp.getTimeZone(index),
+            'GET_TIME_ZONE'
         )
     }
 
-    async deleteUser(uid) {
+    /**
+     * Read all 50 time zone definitions, one request each
+     */
+    async getTimeZones() {
         return await this.functionWrapper(
-            () => this.ztcp.deleteUser(uid)
+            () => this.ztcp.getTimeZones(),
+            () => this.zudp.getTimeZones(),
+            'GET_TIME_ZONES',
+            PRIORITY.LOW
         )
     }
 
-    async getAttendanceSize() {
+    /**
+     * @param {number} index - time zone, 1 to 50
+     * @param {Array<{start: string, end: string}>} days - 7 entries from Sunday on, "HH:MM"
+     * @example
+     * const office = {start: '08:00', end: '18:00'}, closed = {start: '00:00', end: '00:00'}
+     * await zk.setTimeZone(2, [closed, office, office, office, office, office, closed])
+     */
+    async setTimeZone(index, days) {
         return await this.functionWrapper(
-            () => this.ztcp.getAttendanceSize()
+            () => this.ztcp.setTimeZone(index, days),
+            () => this.zudp.setTimeZone(index, days),
+            'SET_TIME_ZONE'
         )
     }
 
-    async getAttendances(cb) {
+    async getUserGroup(uid) {
         return await this.functionWrapper(
-            () => this.ztcp.getAttendances(cb),
-            () => this.zudp.getAttendances(cb),
+            () => this.ztcp.getUserGroup(uid),
+            () => this.zudp.getUserGroup(uid),
+            'GET_USER_GROUP'
         )
     }
 
-    async getRealTimeLogs(cb) {
+    /**
+     * @param {number} uid
+     * @param {number} group - access group, 1 to 99
+     */
+    async setUserGroup(uid, group) {
         return await this.functionWrapper(
-            () => this.ztcp.getRealTimeLogs(cb),
-            () => this.zudp.getRealTimeLogs(cb)
+            () => this.ztcp.setUserGroup(uid, group),
+            () => this.zudp.setUserGroup(uid, group),
+            'SET_USER_GROUP'
         )
     }
 
-    async disconnect() {
+    /**
+     * @returns {Promise<{useGroup: boolean, timeZones: Array<number>}>}
+     */
+    async getUserTimeZones(uid) {
+        return await this.functionWrapper(
+            () => this.ztcp.getUserTimeZones(uid),
+            () => this.zudp.getUserTimeZones(uid),
+            'GET_USER_TIME_ZONES'
+        )
+    }
+
+    /**
+     * @param {number} uid
+     * @param {Object} options - {useGroup} to follow the time zones of the user's group,
+     * or {timeZones} with up to 3 time zone indexes of the user's own
+     */
+    async setUserTimeZones(uid, options) {
+        return await this.functionWrapper(
+            () => this.ztcp.setUserTimeZones(uid, options),
+            () => this.zudp.setUserTimeZones(uid, options),
+            'SET_USER_TIME_ZONES'
+        )
+    }
+
+    /**
+     * @returns {Promise<{timeZones: Array<number>, holidayValid: boolean, verifyStyle: number}>}
+     */
+    async getGroupTimeZones(group) {
+        return await this.functionWrapper(
+            () => this.ztcp.getGroupTimeZones(group),
+            () => this.zudp.getGroupTimeZones(group),
+            'GET_GROUP_TIME_ZONES'
+        )
+    }
+
+    /**
+     * @param {number} group - 1 to 99
+     * @param {Object} options - {timeZones} up to 3 time zone indexes, {holidayValid} whether
+     * they apply on holidays too, {verifyStyle}
+     */
+    async setGroupTimeZones(group, options) {
+        return await this.functionWrapper(
+            () => this.ztcp.setGroupTimeZones(group, options),
+            () => this.zudp.setGroupTimeZones(group, options),
+            'SET_GROUP_TIME_ZONES'
+        )
+    }
+
+    /**
+     * @param {number} index - unlock group, 1 to 10
+     * @returns {Promise<Array<number>>} the groups that have to verify together
+     */
+    async getUnlockGroup(index) {
+        return await this.functionWrapper(
+            () => this.ztcp.getUnlockGroup(index),
+            () => this.zudp.getUnlockGroup(index),
+            'GET_UNLOCK_GROUP'
+        )
+    }
+
+    /**
+     * @param {number} index - unlock group, 1 to 10
+     * @param {Array<number>} groups - 1 to 5 groups that have to verify together to open the door
+     */
+    async setUnlockGroup(index, groups) {
+        return await this.functionWrapper(
+            () => this.ztcp.setUnlockGroup(index, groups),
+            () => this.zudp.setUnlockGroup(index, groups),
+            'SET_UNLOCK_GROUP'
+        )
+    }
+
+    /**
+     * Open the door from the application, e.g. from a reception desk. Jumps ahead
+     * of queued operations. Every remote unlock is logged with its operator.
+     * @param {number} [seconds=3] - how long the lock stays open, 1 to 3600
+     * @param {Object} [options]
+     * @param {string} [options.operator] - who triggered the unlock, for the audit trail
+     */
+    async unlockDoor(seconds = 3, {operator = null} = {}) {
+        const result = await this.functionWrapper(
+            () => this.ztcp.unlockDoor(seconds),
+            () => this.zudp.unlockDoor(seconds),
+            'UNLOCK_DOOR',
+            PRIORITY.HIGH
+        )
+
+        this.logger.info(`[${this.ip}] Door unlocked remotely for ${seconds}s by ${operator || 'an unknown operator'}`)
+        this.emit('doorUnlocked', {seconds, operator, at: new Date()})
+        return result
+    }
+
+    /**
+     * @returns {Promise<string>} 'open' or 'closed'
+     */
+    async getDoorState() {
+        return await this.functionWrapper(
+            () => this.ztcp.getDoorState(),
+            () => this.zudp.getDoorState(),
+            'GET_DOOR_STATE'
+        )
+    }
+
+    /**
+     * Poll the door state and emit `doorOpened` / `doorClosed` when it changes.
+     * Polls are skipped while disconnected, failed polls are emitted as `error`.
+     * @param {Object} [options]
+     * @param {number} [options.interval=1000] - ms between polls
+     */
+    watchDoorState({interval = 1000} = {}) {
+        this.stopDoorWatch()
+
+        const watch = {state: null, polling: false, timer: null}
+        watch.timer = setInterval(async () => {
+            if (!this.isConnected() || watch.polling) {
+                return
+            }
+
+            watch.polling = true
+            try {
+                const state = await this.functionWrapper(
+                    () => this.ztcp.getDoorState(),
+                    () => this.zudp.getDoorState(),
+                    'GET_DOOR_STATE',
+                    PRIORITY.LOW
+                )
+
+                // The first poll only records the state, watchers want changes
+                if (this.doorWatch === watch && watch.state !== null && state !== watch.state) {
+                    this.emit(state === 'open' ? 'doorOpened' : 'doorClosed', {at: new Date()})
+                }
+                watch.state = state
+            } catch (err) {
+                this.emitError(err)
+            } finally {
+                watch.polling = false
+            }
+        }, interval)
+
+        this.doorWatch = watch
+    }
+
+    stopDoorWatch() {
+        if (this.doorWatch) {
+            clearInterval(this.doorWatch.timer)
+            this.doorWatch = null
+        }
+    }
+
+    /**
+     * Short messages shown on the device, public ones to everybody and
+     * personal ones to the users they are assigned to
+     * @param {Object} [options] - {timeout} for the read
+     * @returns {Promise<{data: Array<{id, tag, startTime, duration, content}>, stats: Object}>}
+     */
+    async getSmsList(options = {}) {
+        return await this.functionWrapper(
+            () => this.ztcp.getSmsList(options),
+            () => this.zudp.getSmsList(options),
+            'GET_SMS_LIST',
+            PRIORITY.LOW
+        )
+    }
+
+    /**
+     * Create a message with the smallest free id
+     * @param {Object} sms - {tag, startTime, duration, content}, tag is one of ZktecoJs.SMS_TAGS
+     * @returns {Promise<number>} the id of the new message
+     * @example
+     * const id = await zk.createSms({tag: Zkteco.SMS_TAGS.PERSONAL, content: 'Please see HR', duration: 60 * 24})
+     * await zk.assignSms(12, id)
+     */
+    async createSms(sms) {
+        const {data} = await this.getSmsList()
+        const id = allocateSmsId(new Set(data.map(message => message.id)))
+
+        await this.updateSms({...sms, id})
+        return id
+    }
+
+    /**
+     * Overwrite the message with the same id
+     * @param {Object} sms - {id, tag, startTime, duration, content}
+     */
+    async updateSms(sms) {
+        return await this.functionWrapper(
+            () => this.ztcp.setSms(sms),
+            () => this.zudp.setSms(sms),
+            'SET_SMS'
+        )
+    }
+
+    async deleteSms(id) {
+        return await this.functionWrapper(
+            () => this.ztcp.deleteSms(id),
+            () => this.zudp.deleteSms(id),
+            'DELETE_SMS'
+        )
+    }
+
+    /**
+     * @param {Object} [options] - {timeout} for the read
+     * @returns {Promise<{data: Array<{uid, smsId}>, stats: Object}>}
+     */
+    async getUserSmsList(options = {}) {
+        return await this.functionWrapper(
+            () => this.ztcp.getUserSmsList(options),
+            () => this.zudp.getUserSmsList(options),
+            'GET_USER_SMS_LIST',
+            PRIORITY.LOW
+        )
+    }
+
+    /**
+     * Show a personal message to a user when they punch
+     */
+    async assignSms(uid, smsId) {
+        return await this.functionWrapper(
+            () => this.ztcp.assignSms(uid, smsId),
+            () => this.zudp.assignSms(uid, smsId),
+            'ASSIGN_SMS'
+        )
+    }
+
+    async unassignSms(uid, smsId) {
+        return await this.functionWrapper(
+            () => this.ztcp.unassignSms(uid, smsId),
+            () => this.zudp.unassignSms(uid, smsId),
+            'UNASSIGN_SMS'
+        )
+    }
+
+    /**
+     * Show text on the device screen, e.g. a welcome or maintenance notice
+     * @param {number} line - 0 to 3
+     * @param {number} column - 0 to 31, the text has to fit in the rest of the line
+     * @param {string} text - printable ASCII
+     */
+    async writeLcd(line, column, text) {
+        return await this.functionWrapper(
+            () => this.ztcp.writeLcd(line, column, text),
+            () => this.zudp.writeLcd(line, column, text),
+            'WRITE_LCD'
+        )
+    }
+
+    async clearLcd() {
+        return await this.functionWrapper(
+            () => this.ztcp.clearLcd(),
+            () => this.zudp.clearLcd(),
+            'CLEAR_LCD'
+        )
+    }
+
+    /**
+     * Download the operation (admin) log for audits
+     * @param {Function} [cb] - (receivedBytes, totalBytes) progress callback
+     * @param {Object} [options] - {timeout} for this read, {window} chunk requests in flight,
+     * {signal} cancels the read and frees the device buffer
+     * @returns {Promise<{data: Array<{operator, code, name, timestamp, params, ip}>, stats: Object}>}
+     */
+    async getOperationLogs(cb, options = {}) {
+        return await this.functionWrapper(
+            () => this.ztcp.getOperationLogs(cb, options),
+            () => this.zudp.getOperationLogs(cb, options),
+            'GET_OPERATION_LOGS',
+            PRIORITY.LOW,
+            {signal: options.signal, cleanup: [COMMANDS.CMD_FREE_DATA]}
+        )
+    }
+
+    async clearOperationLogs() {
+        return await this.functionWrapper(
+            () => this.ztcp.clearOperationLogs(),
+            () => this.zudp.clearOperationLogs(),
+            'CLEAR_OPERATION_LOGS'
+        )
+    }
+
+    /**
+     * @param {number} uid
+     * @returns {Promise<number>} one of ZktecoJs.VERIFY_MODES, VERIFY_MODES.GROUP when the
+     * user follows the verify mode of its group
+     */
+    async getUserVerifyMode(uid) {
+        return await this.functionWrapper(
+            () => this.ztcp.getUserVerifyMode(uid),
+            () => this.zudp.getUserVerifyMode(uid),
+            'GET_USER_VERIFY_MODE'
+        )
+    }
+
+    /**
+     * @param {number} uid
+     * @param {number} mode - one of ZktecoJs.VERIFY_MODES
+     * @example
+     * await zk.setUserVerifyMode(12, Zkteco.VERIFY_MODES.FP_AND_CARD)
+     */
+    async setUserVerifyMode(uid, mode) {
+        return await this.functionWrapper(
+            () => this.ztcp.setUserVerifyMode(uid, mode),
+            () => this.zudp.setUserVerifyMode(uid, mode),
+            'SET_USER_VERIFY_MODE'
+        )
+    }
+
+    /**
+     * Set the verify mode of many users while the device is disabled.
+     * setUsers also takes a verifyMode per user.
+     * @param {Array<{uid: number, mode: number}>} assignments
+     * @param {Object} [options] - {signal} cancels the run and re-enables the device
+     * @returns {Promise<{results: Array<{uid, mode, success, error}>, succeeded: number, failed: number}>}
+     */
+    async setUserVerifyModes(assignments, options = {}) {
+        return await this.functionWrapper(
+            () => this.ztcp.setUserVerifyModes(assignments),
+            () => this.zudp.setUserVerifyModes(assignments),
+            'SET_USER_VERIFY_MODES',
+            PRIORITY.LOW,
+            {signal: options.signal}
+        )
+    }
+
+    async getAttendanceSize() {
         return await this.functionWrapper(
-            () => this.ztcp.disconnect(),
-            () => this.zudp.disconnect()
+            () => this.ztcp.getAttendanceSize()
         )
     }
 
+    /**
+     * @param {Function} [cb] - (receivedBytes, totalBytes) progress callback
+     * @param {Object} [options] - {timeout} for this read, overrides the constructor timeouts,
+     * {window} chunk requests in flight, {signal} cancels the read and frees the device buffer
+     */
+    async getAttendances(cb, options = {}) {
+        return await this.functionWrapper(
+            () => this.ztcp.getAttendances(cb, options),
+            () => this.zudp.getAttendances(cb, options),
+            'GET_ATTENDANCES',
+            PRIORITY.LOW,
+            {signal: options.signal, cleanup: [COMMANDS.CMD_FREE_DATA]}
+        )
+    }
+
+    /**
+     * Stream the attendance log as an object-mode Readable. Records are decoded
+     * and pushed as each chunk arrives, and the next chunk is only read once the
+     * consumer asks for more. Every chunk is a separate turn on the command queue,
+     * so other calls (including the consumer's own, made while handling a record)
+     * run in between instead of waiting for the whole download. Destroying the
+     * stream cancels the download. TCP only.
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - overrides the constructor timeouts
+     * @param {Function} [options.onProgress] - (receivedBytes, totalBytes)
+     * @param {AbortSignal} [options.signal] - destroys the stream with an AbortError
+     * @returns {Readable}
+     * @example
+     * await pipeline(device.getAttendancesStream(), loader)
+     */
+    getAttendancesStream(options = {}) {
+        const controller = new AbortController()
+        const reader = this.ztcp.createAttendanceReader(options)
+        let reading = false
+        let ended = false
+
+        const readChunk = () => {
+            reading = true
+            this.functionWrapper(
+                () => reader.next(),
+                null,
+                'GET_ATTENDANCES_STREAM',
+                PRIORITY.LOW,
+                {signal: controller.signal, cleanup: [COMMANDS.CMD_FREE_DATA]}
+            ).then(records => {
+                reading = false
+                if (stream.destroyed) {
+                    return
+                }
+                if (records === null) {
+                    ended = true
+                    stream.push(null)
+                    return
+                }
+                // Without a push the stream won't ask again
+                if (records.length === 0) {
+                    readChunk()
+                    return
+                }
+                for (const record of records) {
+                    stream.push(record)
+                }
+            }).catch(err => {
+                reading = false
+                if (!stream.destroyed) stream.destroy(err)
+            })
+        }
+
+        const stream = new Readable({
+            objectMode: true,
+            read() {
+                if (!reading) {
+                    readChunk()
+                }
+            },
+            destroy: (err, callback) => {
+                controller.abort()
+                // A read in progress frees the buffer when aborted, a paused one does it here
+                if (!reading && !ended) {
+                    this.functionWrapper(() => reader.close(), null, 'GET_ATTENDANCES_STREAM', PRIORITY.LOW)
+                        .catch(() => {})
+                }
+                callback(err)
+            }
+        })
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                stream.destroy(new AbortError())
+                return stream
+            }
+            options.signal.addEventListener('abort', () => stream.destroy(new AbortError()), {once: true})
+        }
+
+        return stream
+    }
+
     async connect() {
         return await this.functionWrapper(
             () => this.ztcp.connect(),
@@ -266,10 +1359,16 @@ class ZktecoJs {
         )
     }
 
-    async readAllTemplates() {
+    /**
+     * @param {Object} [options] - {timeout} for this read, {signal} to cancel it
+     */
+    async readAllTemplates(options = {}) {
         return await this.functionWrapper(
-            () => this.ztcp.readAllTemplates(),
-            () => this.zudp.readAllTemplates()
+            () => this.ztcp.readAllTemplates(options),
+            null,
+            'READ_ALL_TEMPLATES',
+            PRIORITY.LOW,
+            {signal: options.signal, cleanup: [COMMANDS.CMD_FREE_DATA]}
         )
     }
 
@@ -311,24 +1410,32 @@ class ZktecoJs {
         )
     }
 
-    async clearAttendanceLog() {
-        return await this.functionWrapper(
-            () => this.ztcp.clearAttendanceLog(),
-            () => this.zudp.clearAttendanceLog()
-        )
-    }
-
     async clearData() {
-        return await this.functionWrapper(
-            () => this.ztcp.clearData(),
-            () => this.zudp.clearData()
-        )
+        try {
+            return await this.functionWrapper(
+                () => this.ztcp.clearData(),
+                () => this.zudp.clearData()
+            )
+        } finally {
+            this.invalidateUserCache()
+        }
     }
 
-    async executeCmd(command, data = '') {
+    /**
+     * @param {number} command
+     * @param {Buffer|string} data
+     * @param {number|Object} [priority] - one of PRIORITY, or {priority, timeout, signal}
+     */
+    async executeCmd(command, data = '', priority = PRIORITY.NORMAL) {
+        const options = typeof priority === 'object' && priority !== null ? priority : {priority}
+        const {signal, ...cmdOptions} = options
+
         return await this.functionWrapper(
-            () => this.ztcp.executeCmd(command, data),
-            () => this.zudp.executeCmd(command, data)
+            () => this.ztcp.executeCmd(command, data, cmdOptions),
+            () => this.zudp.executeCmd(command, data, cmdOptions),
+            'EXECUTE_CMD',
+            options.priority === undefined ? PRIORITY.NORMAL : options.priority,
+            {signal}
         )
     }
 
@@ -348,10 +1455,16 @@ class ZktecoJs {
         )
     }
 
-    async captureImage() {
+    /**
+     * @param {Object} [options] - {timeout} for the capture, {signal} to cancel it
+     */
+    async captureImage(options = {}) {
         return await this.functionWrapper(
-            () => this.ztcp.captureImage(),
-            () => this.zudp.captureImage()
+            () => this.ztcp.captureImage(options),
+            null,
+            'CAPTURE_IMAGE',
+            PRIORITY.NORMAL,
+            {signal: options.signal, cleanup: [COMMANDS.CMD_CANCELCAPTURE, COMMANDS.CMD_FREE_DATA]}
         )
     }
 
@@ -363,18 +1476,152 @@ class ZktecoJs {
     //     )
     // }
 
+    /**
+     * Subscribe to real-time attendance logs. The callback replaces the one of
+     * a previous call; use on('attendance') to add independent listeners.
+     * @param {Function} callback - (log)
+     */
     async getRealTimeLogs(callback) {
-        return await this.functionWrapper(
-            () => this.ztcp.getRealTimeLogs(callback),
-            () => this.zudp.getRealTimeLogs(callback),
+        if (this.realTimeLogsCallback) {
+            this.removeListener('attendance', this.realTimeLogsCallback)
+        }
+        this.realTimeLogsCallback = callback
+
+        try {
+            return await this.registerRealTimeLogs()
+        } finally {
+            // Kept even when not connected yet, the subscription is made once connected
+            if (typeof callback === 'function') this.on('attendance', callback)
+        }
+    }
+
+    /**
+     * Iterate over real-time attendance logs. The device is subscribed on the
+     * first pull, logs are buffered while the loop body runs, and the
+     * subscription is dropped when the loop ends (unless other attendance
+     * listeners remain). Socket errors, a lost connection without
+     * auto-reconnect and failed reconnects are thrown inside the loop.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - ends the loop
+     * @example
+     * for await (const log of device.realTimeLogs()) {
+     *     console.log(log.userId, log.attTime)
+     * }
+     */
+    async *realTimeLogs({signal = null} = {}) {
+        if (signal && signal.aborted) {
+            return
+        }
+
+        const pending = []
+        let failure = null
+        let finished = false
+        let wake = null
+
+        const notify = () => {
+            if (wake) {
+                const resolve = wake
+                wake = null
+                resolve()
+            }
+        }
+        const onLog = (log) => {
+            pending.push(log)
+            notify()
+        }
+        const onError = (err) => {
+            failure = failure || err
+            notify()
+        }
+        const onDisconnected = ({manual}) => {
+            if (manual) {
+                finished = true
+            } else if (!this.reconnectPolicy) {
+                failure = failure || new ZkError(new Error('Socket is disconnected unexpectedly'), 'REAL_TIME_LOGS', this.ip)
+            }
+            notify()
+        }
+        const onAbort = () => {
+            finished = true
+            notify()
+        }
+
+        if (!this.realTimeRegistered) {
+            await this.registerRealTimeLogs()
+        }
+
+        this.on('attendance', onLog)
+        this.on('error', onError)
+        this.on('disconnected', onDisconnected)
+        this.on('reconnectFailed', onError)
+        signal && signal.addEventListener('abort', onAbort, {once: true})
+
+        try {
+            while (true) {
+                if (pending.length > 0) {
+                    yield pending.shift()
+                    continue
+                }
+
+                if (failure) throw failure
+                if (finished) return
+
+                await new Promise(resolve => {
+                    wake = resolve
+                })
+            }
+        } finally {
+            this.removeListener('attendance', onLog)
+            this.removeListener('error', onError)
+            this.removeListener('disconnected', onDisconnected)
+            this.removeListener('reconnectFailed', onError)
+            signal && signal.removeEventListener('abort', onAbort)
+
+            // Last consumer gone, ask the device to stop pushing logs
+            if (this.listenerCount('attendance') === 0 && this.connectionType && this.realTimeRegistered) {
+                await this.stopRealTimeLogs().catch(err => this.logger.error('Error stopping real-time logs:', err))
+            }
+        }
+    }
+
+    /**
+     * Ask the device to stop pushing real-time logs. Attendance listeners stay
+     * attached, attaching a new one subscribes again.
+     */
+    async stopRealTimeLogs() {
+        const result = await this.functionWrapper(
+            () => this.ztcp.stopRealTimeLogs(),
+            () => this.zudp.stopRealTimeLogs(),
+            'STOP_REAL_TIME_LOGS'
+        )
+        this.realTimeRegistered = false
+        return result
+    }
+
+    /**
+     * Ask the device to push real-time logs on the current connection
+     */
+    async registerRealTimeLogs() {
+        const result = await this.functionWrapper(
+            () => this.ztcp.getRealTimeLogs(this.dispatchRealTimeLog),
+            () => this.zudp.getRealTimeLogs(this.dispatchRealTimeLog),
             'GET_REAL_TIME_LOGS'
         )
+        this.realTimeRegistered = true
+        return result
     }
 
-    async registerFace(userId) {
+    /**
+     * @param {string} userId
+     * @param {Object} [options] - {signal} cancels the enrollment
+     */
+    async registerFace(userId, options = {}) {
         return await this.functionWrapper(
             () => this.ztcp.registerFace(userId),
-            () => this.zudp.registerFace(userId)
+            () => this.zudp.registerFace(userId),
+            'REGISTER_FACE',
+            PRIORITY.NORMAL,
+            {signal: options.signal, cleanup: [COMMANDS.CMD_CANCELCAPTURE]}
         )
     }
 
@@ -386,6 +1633,16 @@ class ZktecoJs {
     }
 
     async disconnect() {
+        this.cancelReconnect();
+        this.ztcp.stopHeartbeat();
+        this.stopDoorWatch();
+
+        if (this.realTimeLogsCallback) {
+            this.removeListener('attendance', this.realTimeLogsCallback);
+            this.realTimeLogsCallback = null;
+        }
+        this.realTimeRegistered = false;
+
         if (this.interval) {
             clearInterval(this.interval);
             this.interval = null;
@@ -404,14 +1661,29 @@ class ZktecoJs {
             this.zudp.socket = null;
         }
 
+        const transport = this.connectionType;
         this.connectionType = null;
+
+        if (transport) {
+            this.emit('disconnected', {transport, manual: true});
+        }
         return true;
     }
 }
 
 
+ZktecoJs.PRIORITY = PRIORITY
+ZktecoJs.AbortError = AbortError
+ZktecoJs.ValidationError = ValidationError
+ZktecoJs.SMS_TAGS = SMS_TAGS
+ZktecoJs.OPERATION_NAMES = OPERATION_NAMES
+ZktecoJs.VERIFY_MODES = VERIFY_MODES
+
 module.exports = ZktecoJs
 
+// Required after the export, src/fleet.js requires this module back
+module.exports.ZktecoFleet = require('./src/fleet')
+
 
 
 
@@ -8,7 +8,9 @@ const ERROR_TYPES = {
     ECONNRESET: 'ECONNRESET',
     ECONNREFUSED: 'ECONNREFUSED',
     EADDRINUSE: 'EADDRINUSE',
-    ETIMEDOUT: 'ETIMEDOUT'
+    ETIMEDOUT: 'ETIMEDOUT',
+    ABORT_ERR: 'ABORT_ERR',
+    VALIDATION_ERR: 'VALIDATION_ERR'
 }
 
 class Errors {
@@ -39,7 +41,30 @@ class Errors {
     }
 }
 
+/**
+ * Rejection of an operation cancelled through its AbortSignal
+ */
+class AbortError extends Error {
+    constructor(message = 'The operation was aborted') {
+        super(message)
+        this.name = 'AbortError'
+        this.code = ERROR_TYPES.ABORT_ERR
+    }
+}
+
+/**
+ * Invalid argument of an operation, `field` names the offending one
+ */
+class ValidationError extends Error {
+    constructor(field, message) {
+        super(message || `Invalid value for "${field}"`)
+        this.name = 'ValidationError'
+        this.code = ERROR_TYPES.VALIDATION_ERR
+        this.field = field
+    }
+}
+
 
 module.exports = {
-    ZkError: Errors, ERROR_TYPES
+    ZkError: Errors, ERROR_TYPES, AbortError, ValidationError
 }
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const ZktecoJs = require('../index')
+
+const DEFAULT_PORT = 4370
+const DEFAULT_CONCURRENCY = 5
+
+/**
+ * Run `worker` over `items` with at most `limit` of them in flight
+ * @returns {Promise<Array>} results in the order of `items`
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length)
+    let next = 0
+
+    const runners = Array.from({length: Math.min(limit, items.length)}, async () => {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await worker(items[index], index)
+        }
+    })
+
+    await Promise.all(runners)
+    return results
+}
+
+/**
+ * ZkError wraps errors (sometimes several times), report the underlying one
+ */
+const rootCause = (err) => {
+    while (err && err.err) {
+        err = err.err
+    }
+    return err
+}
+
+/**
+ * Manages many terminals at once: long-lived connections, operations run
+ * with a concurrency limit and a per-device report of results and errors.
+ */
+class ZktecoFleet {
+    /**
+     * @param {Array<Object>} devices - {label, ...} plus any ZktecoJs constructor option (ip, port, commKey, ...)
+     * @param {Object} options
+     * @param {number} [options.concurrency=5] - devices worked on at the same time
+     * @param {number} [options.timeout] - default timeout for devices that don't set one
+     * @param {Object} [options.logger] - default logger for devices that don't set one
+     * @param {Object|boolean} [options.reconnect] - auto-reconnect policy applied to every device
+     * @param {Object|boolean} [options.heartbeat] - heartbeat options applied to every device
+     */
+    constructor(devices, options = {}) {
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY
+        this.devices = new Map()
+        this.realTimeCallback = null
+
+        for (const config of devices) {
+            const port = config.port || DEFAULT_PORT
+            const label = config.label || `${config.ip}:${port}`
+
+            if (this.devices.has(label)) {
+                throw new Error(`Duplicate device label "${label}"`)
+            }
+
+            const device = new ZktecoJs({
+                timeout: options.timeout,
+                logger: options.logger,
+                reconnect: options.reconnect,
+                heartbeat: options.heartbeat,
+                ...config,
+                port
+            })
+
+            this.devices.set(label, {label, config: {...config, port, label}, device, connecting: null, subscribed: false})
+        }
+    }
+
+    get labels() {
+        return [...this.devices.keys()]
+    }
+
+    /**
+     * @param {string} label
+     * @returns {ZktecoJs}
+     */
+    get(label) {
+        const entry = this.devices.get(label)
+        if (!entry) {
+            throw new Error(`Unknown device "${label}"`)
+        }
+        return entry.device
+    }
+
+    select(labels) {
+        if (!labels) {
+            return [...this.devices.values()]
+        }
+        return labels.map(label => {
+            if (!this.devices.has(label)) {
+                throw new Error(`Unknown device "${label}"`)
+            }
+            return this.devices.get(label)
+        })
+    }
+
+    /**
+     * Connect the device unless its connection is still up, concurrent callers share the attempt.
+     * A device whose own auto-reconnect is running is skipped, a second connect would race it.
+     */
+    async ensureConnected(entry) {
+        if (entry.device.isConnected()) {
+            return
+        }
+
+        if (entry.device.reconnecting) {
+            throw new Error(`Device "${entry.label}" is reconnecting`)
+        }
+
+        if (!entry.connecting) {
+            entry.connecting = (async () => {
+                await entry.device.createSocket()
+
+                // The callback survives reconnects, only subscribe once
+                if (this.realTimeCallback && !entry.subscribed) {
+                    await this.subscribe(entry)
+                }
+            })().finally(() => {
+                entry.connecting = null
+            })
+        }
+
+        await entry.connecting
+    }
+
+    async subscribe(entry) {
+        const {label, config} = entry
+        await entry.device.getRealTimeLogs(log => this.realTimeCallback(log, {label, ip: config.ip}))
+        entry.subscribed = true
+    }
+
+    /**
+     * Run `worker` for each selected device and collect a report
+     * @returns {Promise<{results: Array, succeeded: number, failed: number, duration: number}>}
+     */
+    async execute(worker, {concurrency, labels} = {}) {
+        const startedAt = Date.now()
+
+        const results = await runWithConcurrency(this.select(labels), concurrency || this.concurrency, async (entry) => {
+            const {label, config, device} = entry
+            const started = Date.now()
+
+            try {
+                const data = await worker(entry)
+                return {label, ip: config.ip, success: true, data, error: null, duration: Date.now() - started}
+            } catch (err) {
+                const cause = rootCause(err)
+                return {
+                    label,
+                    ip: config.ip,
+                    success: false,
+                    data: null,
+                    error: {message: cause && cause.message, code: cause && cause.code, command: err && err.command, raw: err},
+                    duration: Date.now() - started
+                }
+            }
+        })
+
+        const succeeded = results.filter(result => result.success).length
+        return {results, succeeded, failed: results.length - succeeded, duration: Date.now() - startedAt}
+    }
+
+    /**
+     * Run an operation on every device (or the ones in `options.labels`),
+     * connecting them first when needed. One device failing doesn't stop the others.
+     * @param {Function} operation - async (device, config) => result
+     * @param {Object} [options] - {concurrency, labels}
+     * @example
+     * const report = await fleet.run(device => device.getAttendances())
+     */
+    async run(operation, options = {}) {
+        return await this.execute(async (entry) => {
+            await this.ensureConnected(entry)
+            return await operation(entry.device, entry.config)
+        }, options)
+    }
+
+    async connectAll(options = {}) {
+        return await this.run(device => device.connectionType, options)
+    }
+
+    async disconnectAll(options = {}) {
+        this.realTimeCallback = null
+
+        return await this.execute(async (entry) => {
+            entry.subscribed = false
+            return await entry.device.disconnect()
+        }, options)
+    }
+
+    /**
+     * Subscribe to real-time logs of every device. Devices that connect later
+     * (or reconnect) are subscribed as well.
+     * @param {Function} callback - (log, {label, ip})
+     */
+    async subscribeRealTimeLogs(callback, options = {}) {
+        this.realTimeCallback = callback
+
+        return await this.run(async (device, config) => {
+            const entry = this.devices.get(config.label)
+            if (!entry.subscribed) {
+                await this.subscribe(entry)
+            }
+            return true
+        }, options)
+    }
+}
+
+module.exports = ZktecoFleet
@@ -0,0 +1,227 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {USHRT_MAX} = require('./command')
+const {ValidationError} = require('../exceptions/handler')
+
+// Limits of the access-control tables
+const MAX_TIME_ZONES = 50
+const MAX_GROUPS = 99
+const MAX_UNLOCK_GROUPS = 10
+const GROUPS_PER_UNLOCK_GROUP = 5
+const TIME_ZONES_PER_ENTRY = 3
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+const checkIndex = (field, value, max) => {
+    if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > max) {
+        throw new ValidationError(field, `${field} must be an integer between 1 and ${max}`)
+    }
+    return Number(value)
+}
+
+// Time zone references may also be 0, meaning unused
+const checkTimeZoneRefs = (timeZones) => {
+    if (!Array.isArray(timeZones) || timeZones.length > TIME_ZONES_PER_ENTRY) {
+        throw new ValidationError('timeZones', `timeZones must be an array of at most ${TIME_ZONES_PER_ENTRY} time zone indexes`)
+    }
+    return Array.from({length: TIME_ZONES_PER_ENTRY}, (_, i) => timeZones[i] ? checkIndex('timeZones', timeZones[i], MAX_TIME_ZONES) : 0)
+}
+
+const parseTime = (field, time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time))
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new ValidationError(field, `${field} must be a time as "HH:MM"`)
+    }
+    return [Number(match[1]), Number(match[2])]
+}
+
+const formatTime = (hour, minute) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+
+/**
+ * Time zone, 32 bytes: index u32, then for every day from Sunday on
+ * start hour, start minute, end hour, end minute (u8 each)
+ * @returns {{index: number, days: Array<{day: string, start: string, end: string}>}}
+ */
+const decodeTimeZone = (data) => ({
+    index: data.readUInt32LE(0),
+    days: DAYS.map((day, i) => {
+        const offset = 4 + i * 4
+        return {
+            day,
+            start: formatTime(data[offset], data[offset + 1]),
+            end: formatTime(data[offset + 2], data[offset + 3])
+        }
+    })
+})
+
+/**
+ * @param {number} index - 1 to 50
+ * @param {Array<{start: string, end: string}>} days - 7 entries from Sunday on, "00:00"-"00:00" closes the day
+ */
+const encodeTimeZone = (index, days) => {
+    const buf = Buffer.alloc(32)
+    buf.writeUInt32LE(checkIndex('index', index, MAX_TIME_ZONES), 0)
+
+    if (!Array.isArray(days) || days.length !== DAYS.length) {
+        throw new ValidationError('days', 'days must list the 7 days of the week, from Sunday on')
+    }
+
+    days.forEach(({start, end}, i) => {
+        const [startHour, startMinute] = parseTime('days', start)
+        const [endHour, endMinute] = parseTime('days', end)
+        buf.set([startHour, startMinute, endHour, endMinute], 4 + i * 4)
+    })
+
+    return buf
+}
+
+/**
+ * Time zones of a user, 16 bytes: useGroup u32 (1 when the user follows the
+ * time zones of its group), then 3 time zone indexes u32, 0 when unused
+ */
+const decodeUserTimeZones = (data) => ({
+    useGroup: data.readUInt32LE(0) === 1,
+    timeZones: [data.readUInt32LE(4), data.readUInt32LE(8), data.readUInt32LE(12)]
+})
+
+const encodeUserTimeZones = (uid, {useGroup = false, timeZones = []}) => {
+    const buf = Buffer.alloc(20)
+    buf.writeUInt32LE(checkIndex('uid', uid, USHRT_MAX), 0)
+
+    const refs = checkTimeZoneRefs(timeZones)
+    buf.writeUInt32LE(useGroup ? 1 : 0, 4)
+    refs.forEach((tz, i) => buf.writeUInt32LE(tz, 8 + i * 4))
+
+    return buf
+}
+
+/**
+ * Time zones of a group, 14 bytes: 3 time zone indexes u32, holidayValid u8
+ * (the time zones also apply on holidays) and verifyStyle u8
+ */
+const decodeGroupTimeZones = (data) => ({
+    timeZones: [data.readUInt32LE(0), data.readUInt32LE(4), data.readUInt32LE(8)],
+    holidayValid: data[12] === 1,
+    verifyStyle: data[13]
+})
+
+const encodeGroupTimeZones = (group, {timeZones = [], holidayValid = false, verifyStyle = 0}) => {
+    const buf = Buffer.alloc(18)
+    buf.writeUInt32LE(checkIndex('group', group, MAX_GROUPS), 0)
+
+    const refs = checkTimeZoneRefs(timeZones)
+    if (!Number.isInteger(verifyStyle) || verifyStyle < 0 || verifyStyle > 255) {
+        throw new ValidationError('verifyStyle', 'verifyStyle must be an integer between 0 and 255')
+    }
+    refs.forEach((tz, i) => buf.writeUInt32LE(tz, 4 + i * 4))
+    buf.writeUInt8(holidayValid ? 1 : 0, 16)
+    buf.writeUInt8(verifyStyle, 17)
+
+    return buf
+}
+
+/**
+ * Unlock group (combination of groups that have to verify together to open
+ * the door), 5 bytes: one group number per byte, 0 when unused
+ */
+const decodeUnlockGroup = (data) => [...data.subarray(0, GROUPS_PER_UNLOCK_GROUP)].filter(group => group > 0)
+
+const encodeUnlockGroup = (index, groups) => {
+    const buf = Buffer.alloc(4 + GROUPS_PER_UNLOCK_GROUP)
+    buf.writeUInt32LE(checkIndex('index', index, MAX_UNLOCK_GROUPS), 0)
+
+    if (!Array.isArray(groups) || groups.length === 0 || groups.length > GROUPS_PER_UNLOCK_GROUP) {
+        throw new ValidationError('groups', `groups must be an array of 1 to ${GROUPS_PER_UNLOCK_GROUP} group numbers`)
+    }
+    groups.forEach((group, i) => buf.writeUInt8(checkIndex('groups', group, MAX_GROUPS), 4 + i))
+
+    return buf
+}
+
+// What a user has to present to be verified, GROUP follows the mode of the user's group
+const VERIFY_MODES = {
+    GROUP: -1,
+    ANY: 0,
+    FP: 1,
+    PIN: 2,
+    PASSWORD: 3,
+    CARD: 4,
+    FP_OR_PASSWORD: 5,
+    FP_OR_CARD: 6,
+    PASSWORD_OR_CARD: 7,
+    PIN_AND_FP: 8,
+    FP_AND_PASSWORD: 9,
+    FP_AND_CARD: 10,
+    PASSWORD_AND_CARD: 11,
+    FP_AND_PASSWORD_AND_CARD: 12,
+    PIN_AND_FP_AND_PASSWORD: 13,
+    FP_AND_CARD_OR_PIN: 14,
+    FACE: 15,
+    FACE_AND_FP: 16,
+    FACE_AND_PASSWORD: 17,
+    FACE_AND_CARD: 18,
+    FACE_AND_FP_AND_CARD: 19,
+    FACE_AND_FP_AND_PASSWORD: 20
+}
+
+// Modes of the user's own are flagged with the high bit, 0 leaves the choice to the group
+const USER_VERIFY_FLAG = 0x80
+
+/**
+ * Verify mode of a user, 8 bytes: uid u16, verify style u8 (USER_VERIFY_FLAG | mode,
+ * or 0 to follow the group), then 5 reserved bytes
+ */
+const decodeUserVerifyMode = (data) => data[2] & USER_VERIFY_FLAG ? data[2] & ~USER_VERIFY_FLAG : VERIFY_MODES.GROUP
+
+const encodeUserVerifyMode = (uid, mode) => {
+    const buf = Buffer.alloc(8)
+    buf.writeUInt16LE(checkIndex('uid', uid, USHRT_MAX), 0)
+
+    if (!Object.values(VERIFY_MODES).includes(mode)) {
+        throw new ValidationError('mode', 'mode must be one of VERIFY_MODES')
+    }
+    buf.writeUInt8(mode === VERIFY_MODES.GROUP ? 0 : USER_VERIFY_FLAG | mode, 2)
+
+    return buf
+}
+
+/**
+ * Request payload of CMD_VERIFY_RRQ: the uid as u16
+ */
+const encodeVerifyRequest = (uid) => {
+    const buf = Buffer.alloc(2)
+    buf.writeUInt16LE(checkIndex('uid', uid, USHRT_MAX), 0)
+    return buf
+}
+
+/**
+ * Request payload of the read commands: the index (or uid) as u32
+ */
+const encodeIndex = (field, value, max) => {
+    const buf = Buffer.alloc(4)
+    buf.writeUInt32LE(checkIndex(field, value, max), 0)
+    return buf
+}
+
+module.exports = {
+    MAX_TIME_ZONES,
+    MAX_GROUPS,
+    MAX_UNLOCK_GROUPS,
+    VERIFY_MODES,
+    decodeTimeZone,
+    encodeTimeZone,
+    decodeUserTimeZones,
+    encodeUserTimeZones,
+    decodeGroupTimeZones,
+    encodeGroupTimeZones,
+    decodeUnlockGroup,
+    encodeUnlockGroup,
+    decodeUserVerifyMode,
+    encodeUserVerifyMode,
+    encodeVerifyRequest,
+    encodeIndex
+}
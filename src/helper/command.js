@@ -73,6 +73,7 @@ module.exports.COMMANDS = {
     CMD_VERIFY_WRQ: 79,
     CMD_VERIFY_RRQ: 80,
     CMD_TMP_WRITE: 87,
+    CMD_SAVE_USERTEMPS: 110,
     CMD_CHECKSUM_BUFFER: 119,
     CMD_DEL_FPTMP: 134,
     CMD_GET_TIME: 201,
@@ -103,9 +104,59 @@ module.exports.USHRT_MAX = 65535
 
 module.exports.MAX_CHUNK = 65472
 
+// User record size assumed when the device can't tell (no users yet), the common one
+module.exports.DEFAULT_USER_PACKET_SIZE = 72
+
+// Size of the CMD_DATA packets of an upload
+module.exports.MAX_CHUNK_WRITE = 1024
+
+// Smaller chunks over UDP so a lost datagram only costs a small re-request
+module.exports.MAX_CHUNK_UDP = 16384
+
+// Operation codes of the operation (admin) log
+module.exports.OPERATION_NAMES = {
+    0: 'POWER_ON',
+    1: 'POWER_OFF',
+    2: 'VERIFY_FAILED',
+    3: 'ALARM',
+    4: 'ENTER_MENU',
+    5: 'CHANGE_SETTINGS',
+    6: 'ENROLL_FINGERPRINT',
+    7: 'ENROLL_PASSWORD',
+    8: 'ENROLL_CARD',
+    9: 'DELETE_USER',
+    10: 'DELETE_FINGERPRINT',
+    11: 'DELETE_PASSWORD',
+    12: 'DELETE_CARD',
+    13: 'CLEAR_DATA',
+    14: 'CREATE_MIFARE_CARD',
+    15: 'ENROLL_MIFARE_CARD',
+    16: 'REGISTER_MIFARE_CARD',
+    17: 'DELETE_MIFARE_CARD_REGISTRATION',
+    18: 'CLEAR_MIFARE_CARD',
+    19: 'MOVE_DATA_TO_CARD',
+    20: 'COPY_CARD_DATA_TO_DEVICE',
+    21: 'SET_TIME',
+    22: 'RESTORE_FACTORY_SETTINGS',
+    23: 'DELETE_ATTENDANCE_LOGS',
+    24: 'CLEAR_ADMIN',
+    25: 'CHANGE_ACCESS_GROUP',
+    26: 'CHANGE_USER_ACCESS',
+    27: 'CHANGE_TIME_ZONE',
+    28: 'CHANGE_UNLOCK_GROUP',
+    29: 'UNLOCK',
+    30: 'ENROLL_USER',
+    31: 'CHANGE_FINGERPRINT_FLAG',
+    32: 'DURESS_ALARM'
+}
+
 module.exports.REQUEST_DATA = {
     DISABLE_DEVICE: Buffer.from([0, 0, 0, 0]),
     GET_REAL_TIME_EVENT: Buffer.from([0x01, 0x00, 0x00, 0x00]),
+    STOP_REAL_TIME_EVENT: Buffer.from([0x00, 0x00, 0x00, 0x00]),
     GET_ATTENDANCE_LOGS: Buffer.from([0x01, 0x0d, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
     GET_USERS: Buffer.from([0x01, 0x09, 0x00, 0x05, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
+    GET_OPERATION_LOGS: Buffer.from([0x01, 0x22, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
+    GET_SMS: Buffer.from([0x01, 0x07, 0x00, 0x06, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
+    GET_USER_SMS: Buffer.from([0x01, 0x07, 0x00, 0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
 }
@@ -0,0 +1,815 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {MAX_CHUNK_WRITE, USHRT_MAX, DEFAULT_USER_PACKET_SIZE, COMMANDS, REQUEST_DATA} = require('./command')
+const {
+    exportErrorMessage,
+    encodeUserData28,
+    encodeUserData72,
+    validateUser,
+    encodeUserBulkRecord,
+    bufferChecksum,
+    replyPayload,
+    detectUserPacketSize,
+    decodeOperationLog16,
+    decodeTable,
+    encodeLcdText
+} = require('./utils')
+const {AbortError, ValidationError} = require('../exceptions/handler')
+const {
+    MAX_TIME_ZONES,
+    MAX_GROUPS,
+    MAX_UNLOCK_GROUPS,
+    decodeTimeZone,
+    encodeTimeZone,
+    decodeUserTimeZones,
+    encodeUserTimeZones,
+    decodeGroupTimeZones,
+    encodeGroupTimeZones,
+    decodeUnlockGroup,
+    encodeUnlockGroup,
+    decodeUserVerifyMode,
+    encodeUserVerifyMode,
+    encodeVerifyRequest,
+    encodeIndex
+} = require('./access')
+const {
+    SMS_RECORD_SIZE,
+    USER_SMS_RECORD_SIZE,
+    decodeSms,
+    encodeSms,
+    decodeUserSms,
+    encodeUserSms
+} = require('./sms')
+
+/**
+ * Commands that are the same over TCP and UDP. ZTCP and ZUDP extend this class
+ * and provide the transport: executeCmd, readWithBuffer, the plain commands
+ * (freeData, enableDevice, ...), logger and ip.
+ */
+class DeviceControl {
+    /**
+     * @param {number} index - time zone, 1 to 50
+     * @returns {Promise<{index: number, days: Array<{day: string, start: string, end: string}>}>}
+     */
+    async getTimeZone(index) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_TZ_RRQ, encodeIndex('index', index, MAX_TIME_ZONES));
+            const payload = replyPayload(reply, 'TZ_RRQ');
+            if (payload.length < 32) {
+                throw new Error('Invalid response received for time zone command');
+            }
+            return decodeTimeZone(payload);
+        } catch (err) {
+            this.logger.error('Error getting time zone:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Read the 50 time zone definitions
+     * @returns {Promise<Array<Object>>} see getTimeZone
+     */
+    async getTimeZones() {
+        const timeZones = [];
+        for (let index = 1; index <= MAX_TIME_ZONES; index++) {
+            timeZones.push(await this.getTimeZone(index));
+        }
+        return timeZones;
+    }
+
+    /**
+     * @param {number} index - time zone, 1 to 50
+     * @param {Array<{start: string, end: string}>} days - 7 entries from Sunday on, "HH:MM"
+     */
+    async setTimeZone(index, days) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_TZ_WRQ, encodeTimeZone(index, days));
+            replyPayload(reply, 'TZ_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting time zone:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @returns {Promise<number>} the access group of the user
+     */
+    async getUserGroup(uid) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_USERGRP_RRQ, encodeIndex('uid', uid, USHRT_MAX));
+            const payload = replyPayload(reply, 'USERGRP_RRQ');
+            if (payload.length < 1) {
+                throw new Error('Invalid response received for user group command');
+            }
+            return payload[0];
+        } catch (err) {
+            this.logger.error('Error getting user group:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @param {number} group - 1 to 99
+     */
+    async setUserGroup(uid, group) {
+        try {
+            if (!Number.isInteger(group) || group < 1 || group > MAX_GROUPS) {
+                throw new ValidationError('group', `group must be an integer between 1 and ${MAX_GROUPS}`);
+            }
+
+            // uid u32, group u8
+            const commandBuffer = Buffer.concat([encodeIndex('uid', uid, USHRT_MAX), Buffer.from([group])]);
+            replyPayload(await this.executeCmd(COMMANDS.CMD_USERGRP_WRQ, commandBuffer), 'USERGRP_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting user group:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @returns {Promise<{useGroup: boolean, timeZones: Array<number>}>} useGroup is true when
+     * the user follows the time zones of its group
+     */
+    async getUserTimeZones(uid) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_USERTZ_RRQ, encodeIndex('uid', uid, USHRT_MAX));
+            const payload = replyPayload(reply, 'USERTZ_RRQ');
+            if (payload.length < 16) {
+                throw new Error('Invalid response received for user time zones command');
+            }
+            return decodeUserTimeZones(payload);
+        } catch (err) {
+            this.logger.error('Error getting user time zones:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @param {Object} options - {useGroup, timeZones} up to 3 time zone indexes
+     */
+    async setUserTimeZones(uid, options) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_USERTZ_WRQ, encodeUserTimeZones(uid, options));
+            replyPayload(reply, 'USERTZ_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting user time zones:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} group - 1 to 99
+     * @returns {Promise<{timeZones: Array<number>, holidayValid: boolean, verifyStyle: number}>}
+     */
+    async getGroupTimeZones(group) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_GRPTZ_RRQ, encodeIndex('group', group, MAX_GROUPS));
+            const payload = replyPayload(reply, 'GRPTZ_RRQ');
+            if (payload.length < 14) {
+                throw new Error('Invalid response received for group time zones command');
+            }
+            return decodeGroupTimeZones(payload);
+        } catch (err) {
+            this.logger.error('Error getting group time zones:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} group - 1 to 99
+     * @param {Object} options - {timeZones, holidayValid, verifyStyle}
+     */
+    async setGroupTimeZones(group, options) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_GRPTZ_WRQ, encodeGroupTimeZones(group, options));
+            replyPayload(reply, 'GRPTZ_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting group time zones:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} index - unlock group, 1 to 10
+     * @returns {Promise<Array<number>>} the groups that have to verify together
+     */
+    async getUnlockGroup(index) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_ULG_RRQ, encodeIndex('index', index, MAX_UNLOCK_GROUPS));
+            return decodeUnlockGroup(replyPayload(reply, 'ULG_RRQ'));
+        } catch (err) {
+            this.logger.error('Error getting unlock group:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} index - unlock group, 1 to 10
+     * @param {Array<number>} groups - 1 to 5 groups that have to verify together to open the door
+     */
+    async setUnlockGroup(index, groups) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_ULG_WRQ, encodeUnlockGroup(index, groups));
+            replyPayload(reply, 'ULG_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting unlock group:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Open the door for a while, the device closes it again by itself
+     * @param {number} seconds - how long the lock stays open
+     */
+    async unlockDoor(seconds = 3) {
+        try {
+            if (!Number.isInteger(seconds) || seconds < 1 || seconds > 3600) {
+                throw new ValidationError('seconds', 'seconds must be an integer between 1 and 3600');
+            }
+
+            // The device counts in tenths of a second
+            const commandBuffer = Buffer.alloc(4);
+            commandBuffer.writeUInt32LE(seconds * 10, 0);
+
+            replyPayload(await this.executeCmd(COMMANDS.CMD_UNLOCK, commandBuffer), 'UNLOCK');
+            return true;
+        } catch (err) {
+            this.logger.error('Error unlocking door:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Promise<string>} 'open' or 'closed'
+     * @throws when the device answers CMD_ACK_ERROR or any other unexpected reply
+     */
+    async getDoorState() {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_DOORSTATE_RRQ, '');
+
+            // Firmwares that send no state byte answer an empty CMD_ACK_OK while
+            // the door is open and an empty CMD_ACK_DATA while it is closed
+            if (reply.readUInt16LE(0) === COMMANDS.CMD_ACK_DATA && reply.length === 8) {
+                return 'closed';
+            }
+
+            const payload = replyPayload(reply, 'DOORSTATE_RRQ');
+            if (payload.length > 0) {
+                return payload[0] ? 'open' : 'closed';
+            }
+            return 'open';
+        } catch (err) {
+            this.logger.error('Error getting door state:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Read a table of the device with the buffered read
+     * @param {Buffer} reqData - one of the REQUEST_DATA table requests
+     * @param {Object} options - {timeout} for the read
+     * @param {Function} [cb] - (receivedBytes, totalBytes) progress callback
+     */
+    async readTable(reqData, options = {}, cb = null) {
+        await this.freeData();
+        try {
+            const data = await this.readWithBuffer(reqData, cb, options);
+            if (data.err) {
+                throw data.err;
+            }
+            return data;
+        } finally {
+            await this.freeData();
+        }
+    }
+
+    /**
+     * @param {Object} options - {timeout} for the read
+     * @returns {Promise<{data: Array<{id, tag, startTime, duration, content}>, stats: Object}>}
+     */
+    async getSmsList(options = {}) {
+        try {
+            const {data, stats} = await this.readTable(REQUEST_DATA.GET_SMS, options);
+            return {data: decodeTable(data, SMS_RECORD_SIZE, decodeSms), stats};
+        } catch (err) {
+            this.logger.error('Error getting messages:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Create a message, or overwrite the one with the same id
+     * @param {Object} sms - {id, tag, startTime, duration, content}
+     */
+    async setSms(sms) {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_SMS_WRQ, encodeSms(sms)), 'SMS_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting message:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} id - message id
+     */
+    async deleteSms(id) {
+        try {
+            // Only the id of the record is looked at
+            const commandBuffer = encodeSms({id, content: ''});
+            replyPayload(await this.executeCmd(COMMANDS.CMD_DELETE_SMS, commandBuffer), 'DELETE_SMS');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error deleting message:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {Object} options - {timeout} for the read
+     * @returns {Promise<{data: Array<{uid, smsId}>, stats: Object}>} which user sees which personal message
+     */
+    async getUserSmsList(options = {}) {
+        try {
+            const {data, stats} = await this.readTable(REQUEST_DATA.GET_USER_SMS, options);
+            return {data: decodeTable(data, USER_SMS_RECORD_SIZE, decodeUserSms), stats};
+        } catch (err) {
+            this.logger.error('Error getting user messages:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Show a personal message to a user when they punch
+     * @param {number} uid
+     * @param {number} smsId
+     */
+    async assignSms(uid, smsId) {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_UDATA_WRQ, encodeUserSms(uid, smsId)), 'UDATA_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error assigning message:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @param {number} smsId
+     */
+    async unassignSms(uid, smsId) {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_DELETE_UDATA, encodeUserSms(uid, smsId)), 'DELETE_UDATA');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error unassigning message:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Show text on the device screen until clearLcd is called
+     * @param {number} line - 0 to 3
+     * @param {number} column - 0 to 31
+     * @param {string} text - printable ASCII
+     */
+    async writeLcd(line, column, text) {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_WRITE_LCD, encodeLcdText(line, column, text)), 'WRITE_LCD');
+            return true;
+        } catch (err) {
+            this.logger.error('Error writing to the LCD:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Remove the text written with writeLcd
+     */
+    async clearLcd() {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_CLEAR_LCD, ''), 'CLEAR_LCD');
+            return true;
+        } catch (err) {
+            this.logger.error('Error clearing the LCD:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Download the operation (admin) log: enrollments, deletions, menu access...
+     * @param {Function} [callbackInProcess] - (receivedBytes, totalBytes) progress callback
+     * @param {Object} options - {timeout} for the read, {window} chunk requests in flight
+     * @returns {Promise<{data: Array<{operator, code, name, timestamp, params}>, stats: Object}>}
+     */
+    async getOperationLogs(callbackInProcess = null, options = {}) {
+        try {
+            const {data, stats} = await this.readTable(REQUEST_DATA.GET_OPERATION_LOGS, options, callbackInProcess);
+            const records = decodeTable(data, 16, decodeOperationLog16).map(record => ({...record, ip: this.ip}));
+            return {data: records, stats};
+        } catch (err) {
+            this.logger.error('Error getting operation logs:', err);
+            throw err;
+        }
+    }
+
+    async clearOperationLogs() {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_CLEAR_OPLOG, ''), 'CLEAR_OPLOG');
+            return true;
+        } catch (err) {
+            this.logger.error('Error clearing operation logs:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @returns {Promise<number>} one of VERIFY_MODES, VERIFY_MODES.GROUP when the user follows its group
+     */
+    async getUserVerifyMode(uid) {
+        try {
+            const reply = await this.executeCmd(COMMANDS.CMD_VERIFY_RRQ, encodeVerifyRequest(uid));
+            const payload = replyPayload(reply, 'VERIFY_RRQ');
+            if (payload.length < 3) {
+                throw new Error('Invalid response received for verify mode command');
+            }
+            return decodeUserVerifyMode(payload);
+        } catch (err) {
+            this.logger.error('Error getting verify mode:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} uid
+     * @param {number} mode - one of VERIFY_MODES
+     */
+    async setUserVerifyMode(uid, mode) {
+        try {
+            replyPayload(await this.executeCmd(COMMANDS.CMD_VERIFY_WRQ, encodeUserVerifyMode(uid, mode)), 'VERIFY_WRQ');
+            await this.refreshData();
+            return true;
+        } catch (err) {
+            this.logger.error('Error setting verify mode:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Set the verify mode of many users, the device is disabled meanwhile
+     * @param {Array<{uid: number, mode: number}>} assignments
+     * @returns {Promise<{results: Array<{uid, mode, success, error}>, succeeded: number, failed: number}>}
+     */
+    async setUserVerifyModes(assignments) {
+        try {
+            const results = assignments.map(({uid, mode}) => ({uid, mode, success: false, error: null}));
+
+            let runError = null;
+            await this.disableDevice();
+            try {
+                for (const result of results) {
+                    try {
+                        const commandBuffer = encodeUserVerifyMode(result.uid, result.mode);
+                        replyPayload(await this.executeCmd(COMMANDS.CMD_VERIFY_WRQ, commandBuffer), 'VERIFY_WRQ');
+                        result.success = true;
+                    } catch (err) {
+                        // An abort ends the whole run, other failures only this user
+                        if (err instanceof AbortError) {
+                            throw err;
+                        }
+                        result.error = err;
+                    }
+                }
+
+                await this.refreshData();
+            } catch (err) {
+                runError = err;
+                throw err;
+            } finally {
+                try {
+                    await this.enableDevice();
+                } catch (err) {
+                    this.logger.error('Error enabling the device after setting verify modes:', err);
+                    if (!runError) {
+                        throw err;
+                    }
+                }
+            }
+
+            const succeeded = results.filter(result => result.success).length;
+            return {results, succeeded, failed: results.length - succeeded};
+        } catch (err) {
+            this.logger.error('Error setting verify modes:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Size of the user records of this firmware: 28 bytes on older (TFT-era)
+     * firmwares, 72 bytes otherwise. Detected from the size of the user buffer
+     * and the user count reported by getInfo, then cached. When the device
+     * can't tell (no users yet, ambiguous sizes) DEFAULT_USER_PACKET_SIZE is
+     * assumed and cached until a user buffer can tell the formats apart.
+     * @param {Buffer} [userData] - user buffer without its size header, read from the device when omitted
+     * @returns {Promise<number>}
+     */
+    async getUserPacketSize(userData = null) {
+        if (this.userPacketSize && !(this.userPacketSizeGuessed && userData && userData.length > 0)) {
+            return this.userPacketSize;
+        }
+
+        if (!userData) {
+            await this.freeData();
+            const data = await this.readWithBuffer(REQUEST_DATA.GET_USERS);
+            await this.freeData();
+
+            // A failed read says nothing about the format, don't mistake it for an empty table
+            if (data.err) {
+                throw data.err;
+            }
+            userData = data.data.subarray(4);
+        }
+
+        let size = null;
+        if (userData.length > 0) {
+            let userCount = null;
+            try {
+                userCount = (await this.getInfo()).userCounts;
+            } catch (err) {
+                this.logger.warn('Could not read the user count, guessing the user record size from the data:', err);
+            }
+
+            size = detectUserPacketSize(userData.length, userCount);
+        }
+
+        if (!size) {
+            this.logger.warn(`Could not detect the user record size, assuming ${DEFAULT_USER_PACKET_SIZE} bytes (set the userPacketSize option to force it)`);
+        }
+
+        this.userPacketSize = size || DEFAULT_USER_PACKET_SIZE;
+        this.userPacketSizeGuessed = !size;
+        return this.userPacketSize;
+    }
+
+    /**
+     * Create or overwrite a user
+     * @param {Object|number} uid - the user object {uid, userId, name, password, role, cardno, group, enabled},
+     * or the uid followed by the positional fields
+     * @throws {ValidationError} naming the offending field
+     */
+    async setUser(uid, userid, name, password, role = 0, cardno = 0) {
+        try {
+            const fields = typeof uid === 'object' && uid !== null
+                ? uid
+                : {uid, userId: userid, name, password, role, cardno};
+
+            const packetSize = await this.getUserPacketSize();
+
+            // Field limits depend on the record layout of the device
+            const user = validateUser(fields, packetSize);
+            const commandBuffer = packetSize === 28 ? encodeUserData28(user) : encodeUserData72(user);
+
+            // Send the command and return the result
+            return await this.executeCmd(COMMANDS.CMD_USER_WRQ, commandBuffer);
+
+        } catch (err) {
+            // Log error details for debugging
+            this.logger.error('Error setting user:', err);
+
+            // Re-throw error for upstream handling
+            throw err;
+        }
+    }
+
+    async deleteUser(uid) {
+        try {
+            // Validate input parameter
+            if (!(parseInt(uid) > 0 && parseInt(uid) <= USHRT_MAX)) {
+                throw new ValidationError('uid', `uid must be an integer between 1 and ${USHRT_MAX}`);
+            }
+
+            // Allocate and initialize the buffer
+            const commandBuffer = Buffer.alloc(72);
+
+            // Write UID to the buffer
+            commandBuffer.writeUInt16LE(parseInt(uid), 0);
+
+            // Send the delete command and return the result
+            return await this.executeCmd(COMMANDS.CMD_DELETE_USER, commandBuffer);
+
+        } catch (err) {
+            // Log error details for debugging
+            this.logger.error('Error deleting user:', err);
+
+            // Re-throw error for upstream handling
+            throw err;
+        }
+    }
+
+    /**
+     * Apply pending changes of users and access-control tables
+     */
+    async refreshData() {
+        try {
+            return await this.executeCmd(COMMANDS.CMD_REFRESHDATA, '');
+        } catch (err) {
+            this.logger.error('Error refreshing data:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Upload a buffer to the device: CMD_PREPARE_DATA with its size, CMD_DATA in
+     * chunks, then CMD_CHECKSUM_BUFFER to check nothing got lost on the way
+     * @param {Buffer} buffer
+     * @param {Object} options - {timeout} for each command
+     */
+    async sendWithBuffer(buffer, options = {}) {
+        const ensureAck = (reply, step) => {
+            const commandId = reply.readUInt16LE(0);
+            if (commandId !== COMMANDS.CMD_ACK_OK) {
+                throw new Error(`${step} failed: ${exportErrorMessage(commandId)}`);
+            }
+        };
+
+        try {
+            await this.freeData();
+
+            const sizeData = Buffer.alloc(4);
+            sizeData.writeUInt32LE(buffer.length, 0);
+            ensureAck(await this.executeCmd(COMMANDS.CMD_PREPARE_DATA, sizeData, options), 'PREPARE_DATA');
+
+            for (let start = 0; start < buffer.length; start += MAX_CHUNK_WRITE) {
+                const chunk = buffer.subarray(start, start + MAX_CHUNK_WRITE);
+                ensureAck(await this.executeCmd(COMMANDS.CMD_DATA, chunk, options), `DATA at offset ${start}`);
+            }
+
+            // The device answers with the checksum of what it received. Neither the
+            // SDK nor pyzk documents the algorithm, bufferChecksum (a plain byte sum)
+            // is an assumption: a mismatch is only reported, setUsers reads the
+            // users back to verify the upload
+            const reply = await this.executeCmd(COMMANDS.CMD_CHECKSUM_BUFFER, '', options);
+            ensureAck(reply, 'CHECKSUM_BUFFER');
+            const expected = bufferChecksum(buffer);
+            const checksum = reply.length >= 12 ? reply.readUInt32LE(8) : null;
+            if (checksum !== expected) {
+                this.logger.warn(`Checksum of the uploaded buffer does not match (device: ${checksum}, expected: ${expected})`);
+            }
+        } catch (err) {
+            this.logger.error('Error sending buffer:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Write many users in one buffer transfer instead of a CMD_USER_WRQ round-trip
+     * each. The device is disabled meanwhile, nobody can punch against a half-written roster.
+     * @param {Array<Object>} users - user objects as accepted by setUser, plus an optional verifyMode
+     * (one of VERIFY_MODES) written right after the users
+     * @param {Object} options - {timeout} for each command, {verify} (on by default) reads the users
+     * back and compares them
+     * @returns {Promise<{results: Array<{uid, userId, success, error}>, succeeded: number, failed: number,
+     * verified: boolean, verifyError: Error|null}>} `verified` is false when the read-back was skipped,
+     * or was partial and the results are only those of the upload
+     */
+    async setUsers(users, {timeout, verify = true} = {}) {
+        try {
+            const packetSize = await this.getUserPacketSize();
+            const encodeUser = packetSize === 28 ? encodeUserData28 : encodeUserData72;
+
+            const results = users.map(user => ({uid: user.uid, userId: user.userId, success: false, error: null}));
+            const verification = {verified: false, verifyError: null};
+            const accepted = [];
+            const uids = new Set();
+            const userIds = new Set();
+
+            // Invalid users are reported, the others are still written
+            users.forEach((fields, index) => {
+                try {
+                    const user = validateUser(fields, packetSize);
+                    if (uids.has(user.uid)) {
+                        throw new ValidationError('uid', `uid ${user.uid} appears more than once`);
+                    }
+                    if (userIds.has(user.userId)) {
+                        throw new ValidationError('userId', `userId ${user.userId} appears more than once`);
+                    }
+                    const verifyMode = fields.verifyMode === undefined ? null : encodeUserVerifyMode(user.uid, fields.verifyMode);
+                    uids.add(user.uid);
+                    userIds.add(user.userId);
+                    accepted.push({index, user, verifyMode});
+                } catch (err) {
+                    results[index].error = err;
+                }
+            });
+
+            if (accepted.length) {
+                const records = Buffer.concat(accepted.map(({user}) => encodeUserBulkRecord(user, packetSize)));
+
+                // Sizes of the user, finger table and template sections, only users are sent
+                const header = Buffer.alloc(12);
+                header.writeUInt32LE(records.length, 0);
+
+                let uploadError = null;
+                await this.disableDevice();
+                try {
+                    await this.sendWithBuffer(Buffer.concat([header, records]), {timeout});
+
+                    const saveData = Buffer.alloc(8);
+                    saveData.writeUInt32LE(12, 0);
+                    saveData.writeUInt16LE(0, 4);
+                    saveData.writeUInt16LE(8, 6);
+                    const reply = await this.executeCmd(COMMANDS.CMD_SAVE_USERTEMPS, saveData, {timeout});
+                    if (reply.readUInt16LE(0) !== COMMANDS.CMD_ACK_OK) {
+                        throw new Error(`SAVE_USERTEMPS failed: ${exportErrorMessage(reply.readUInt16LE(0))}`);
+                    }
+
+                    // Users stay written when their verify mode fails, the failure is reported
+                    for (const {index, verifyMode} of accepted.filter(entry => entry.verifyMode)) {
+                        try {
+                            replyPayload(await this.executeCmd(COMMANDS.CMD_VERIFY_WRQ, verifyMode, {timeout}), 'VERIFY_WRQ');
+                        } catch (err) {
+                            if (err instanceof AbortError) {
+                                throw err;
+                            }
+                            results[index].error = err;
+                        }
+                    }
+
+                    await this.freeData();
+                    await this.executeCmd(COMMANDS.CMD_REFRESHDATA, '');
+                } catch (err) {
+                    uploadError = err;
+                    throw err;
+                } finally {
+                    // A failing enable must not hide the error of the upload
+                    try {
+                        await this.enableDevice();
+                    } catch (err) {
+                        this.logger.error('Error enabling the device after the upload:', err);
+                        if (!uploadError) {
+                            throw err;
+                        }
+                    }
+                }
+
+                accepted.forEach(({index}) => {
+                    results[index].success = !results[index].error;
+                });
+
+                if (verify) {
+                    const {data, err} = await this.getUsers({timeout});
+
+                    // Users a partial read didn't reach may well be stored, it proves nothing
+                    if (err) {
+                        this.logger.warn('Could not read all users back, the upload is not verified:', err);
+                        verification.verifyError = err;
+                    } else {
+                        const stored = new Map(data.map(user => [user.uid, user]));
+
+                        for (const {index, user} of accepted) {
+                            const found = stored.get(user.uid);
+                            if (!found || !encodeUser(found).equals(encodeUser(user))) {
+                                results[index].success = false;
+                                results[index].error = new Error(`User ${user.uid} was not stored as sent`);
+                            }
+                        }
+                        verification.verified = true;
+                    }
+                }
+            }
+
+            const succeeded = results.filter(result => result.success).length;
+            return {results, succeeded, failed: results.length - succeeded, ...verification};
+        } catch (err) {
+            this.logger.error('Error setting users:', err);
+            throw err;
+        }
+    }
+}
+
+module.exports = {DeviceControl}
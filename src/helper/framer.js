@@ -0,0 +1,77 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const EventEmitter = require('events')
+const {decodeUDPHeader, verifyChecksum} = require('./utils')
+
+const TCP_MAGIC = Buffer.from([0x50, 0x50, 0x82, 0x7d])
+
+// Anything larger than this can't be a real packet, the stream is out of sync
+const MAX_PACKET_SIZE = 16 * 1024 * 1024
+
+/**
+ * Reassembles ZK packets from the TCP byte stream. Node may split one packet
+ * over several `data` events or coalesce several packets into one, so packets
+ * are cut on the `0x50 0x50 0x82 0x7d` + length prefix instead.
+ *
+ * Emits `packet` with {commandId, checkSum, sessionId, replyId, payload, data, raw}
+ * where `data` is the packet without the TCP prefix and `raw` includes it,
+ * and `invalid` with (raw, reason) for packets that are dropped.
+ */
+class TCPFramer extends EventEmitter {
+    constructor({verifyChecksum = true} = {}) {
+        super()
+        this.verifyChecksum = verifyChecksum
+        this.buffer = Buffer.alloc(0)
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+
+        while (this.buffer.length >= 8) {
+            // Resynchronise on the next prefix when the stream is corrupted
+            if (this.buffer.compare(TCP_MAGIC, 0, 4, 0, 4) !== 0) {
+                this.skipToNextPrefix()
+                continue
+            }
+
+            const length = this.buffer.readUInt32LE(4)
+            if (length < 8 || length > MAX_PACKET_SIZE) {
+                this.skipToNextPrefix()
+                continue
+            }
+
+            // Wait for the rest of the packet
+            if (this.buffer.length < 8 + length) {
+                break
+            }
+
+            const raw = this.buffer.subarray(0, 8 + length)
+            this.buffer = this.buffer.subarray(8 + length)
+
+            const data = raw.subarray(8)
+            if (this.verifyChecksum && !verifyChecksum(data)) {
+                this.emit('invalid', raw, 'CHECKSUM_MISMATCH')
+                continue
+            }
+
+            this.emit('packet', {...decodeUDPHeader(data), payload: data.subarray(8), data, raw})
+        }
+    }
+
+    skipToNextPrefix() {
+        const next = this.buffer.indexOf(TCP_MAGIC, 1)
+        const dropped = next === -1 ? this.buffer.subarray(0, this.buffer.length - 3) : this.buffer.subarray(0, next)
+        this.buffer = this.buffer.subarray(dropped.length)
+        this.emit('invalid', dropped, 'OUT_OF_SYNC')
+    }
+
+    reset() {
+        this.buffer = Buffer.alloc(0)
+    }
+}
+
+module.exports = {TCPFramer}
@@ -0,0 +1,95 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {AbortError} = require('../exceptions/handler')
+
+const PRIORITY = {
+    HIGH: 0,
+    NORMAL: 1,
+    LOW: 2
+}
+
+/**
+ * Runs one device operation at a time so overlapping calls can't receive
+ * each other's replies. Tasks with a lower priority value run first,
+ * tasks with the same priority run in the order they were queued.
+ */
+class CommandQueue {
+    constructor() {
+        this.tasks = []
+        this.running = false
+        this.sequence = 0
+    }
+
+    /**
+     * @param {Function} task - async function performing the exchange
+     * @param {number} priority - one of PRIORITY
+     * @param {AbortSignal} [signal] - aborting it drops the task while it still waits for its turn
+     * @returns {Promise<*>} resolves with the result of the task
+     */
+    push(task, priority = PRIORITY.NORMAL, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                return reject(new AbortError())
+            }
+
+            const item = {task, priority, sequence: this.sequence++, resolve, reject, signal, onAbort: null}
+
+            if (signal) {
+                item.onAbort = () => {
+                    const index = this.tasks.indexOf(item)
+                    if (index !== -1) {
+                        this.tasks.splice(index, 1)
+                        reject(new AbortError())
+                    }
+                }
+                signal.addEventListener('abort', item.onAbort, {once: true})
+            }
+
+            // Keep the list ordered by priority, then by arrival
+            const index = this.tasks.findIndex(queued => queued.priority > priority)
+            if (index === -1) {
+                this.tasks.push(item)
+            } else {
+                this.tasks.splice(index, 0, item)
+            }
+
+            this.next()
+        })
+    }
+
+    async next() {
+        if (this.running || this.tasks.length === 0) {
+            return
+        }
+
+        const item = this.tasks.shift()
+        this.running = true
+
+        // Once started, aborting is up to the task itself
+        if (item.signal) {
+            item.signal.removeEventListener('abort', item.onAbort)
+        }
+
+        try {
+            item.resolve(await item.task())
+        } catch (err) {
+            item.reject(err)
+        } finally {
+            this.running = false
+            this.next()
+        }
+    }
+
+    /**
+     * Number of tasks waiting to run, the running one excluded
+     */
+    get size() {
+        return this.tasks.length
+    }
+}
+
+module.exports = {CommandQueue, PRIORITY}
@@ -0,0 +1,113 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {USHRT_MAX} = require('./command')
+const timeParser = require('./time')
+const {ValidationError} = require('../exceptions/handler')
+
+// Who sees a message: users it is assigned to, everybody, or nobody yet
+const SMS_TAGS = {
+    PERSONAL: 253,
+    PUBLIC: 254,
+    DRAFT: 255
+}
+
+const SMS_RECORD_SIZE = 72
+const USER_SMS_RECORD_SIZE = 4
+const MAX_SMS_CONTENT = 60
+
+/**
+ * Message, 72 bytes: tag u8, id u16, duration u16 (minutes shown, 0 for
+ * no limit), reserved u16, start time u32, content 61 (NUL terminated)
+ * @returns {{id: number, tag: number, startTime: Date, duration: number, content: string}}
+ */
+const decodeSms = (data) => ({
+    id: data.readUInt16LE(1),
+    tag: data[0],
+    startTime: timeParser.decode(data.readUInt32LE(7)),
+    duration: data.readUInt16LE(3),
+    content: data
+        .subarray(11, 11 + MAX_SMS_CONTENT)
+        .toString('ascii')
+        .split('\0')
+        .shift()
+})
+
+/**
+ * @param {Object} sms - {id, tag, startTime, duration, content}
+ */
+const encodeSms = ({id, tag = SMS_TAGS.PUBLIC, startTime = new Date(), duration = 0, content = ''}) => {
+    if (!Number.isInteger(id) || id < 1 || id > USHRT_MAX) {
+        throw new ValidationError('id', `id must be an integer between 1 and ${USHRT_MAX}`)
+    }
+    if (!Object.values(SMS_TAGS).includes(tag)) {
+        throw new ValidationError('tag', 'tag must be one of SMS_TAGS')
+    }
+    if (!(startTime instanceof Date) || isNaN(startTime)) {
+        throw new ValidationError('startTime', 'startTime must be a Date')
+    }
+    if (!Number.isInteger(duration) || duration < 0 || duration > USHRT_MAX) {
+        throw new ValidationError('duration', `duration must be a number of minutes between 0 and ${USHRT_MAX}`)
+    }
+    if (typeof content !== 'string' || Buffer.byteLength(content, 'ascii') > MAX_SMS_CONTENT) {
+        throw new ValidationError('content', `content must be a string of at most ${MAX_SMS_CONTENT} characters`)
+    }
+
+    const buf = Buffer.alloc(SMS_RECORD_SIZE)
+    buf.writeUInt8(tag, 0)
+    buf.writeUInt16LE(id, 1)
+    buf.writeUInt16LE(duration, 3)
+    buf.writeUInt32LE(timeParser.encode(startTime), 7)
+    buf.write(content, 11, MAX_SMS_CONTENT, 'ascii')
+
+    return buf
+}
+
+/**
+ * Assignment of a message to a user, 4 bytes: uid u16, message id u16
+ */
+const decodeUserSms = (data) => ({
+    uid: data.readUInt16LE(0),
+    smsId: data.readUInt16LE(2)
+})
+
+const encodeUserSms = (uid, smsId) => {
+    if (!Number.isInteger(uid) || uid < 1 || uid > USHRT_MAX) {
+        throw new ValidationError('uid', `uid must be an integer between 1 and ${USHRT_MAX}`)
+    }
+    if (!Number.isInteger(smsId) || smsId < 1 || smsId > USHRT_MAX) {
+        throw new ValidationError('smsId', `smsId must be an integer between 1 and ${USHRT_MAX}`)
+    }
+
+    const buf = Buffer.alloc(USER_SMS_RECORD_SIZE)
+    buf.writeUInt16LE(uid, 0)
+    buf.writeUInt16LE(smsId, 2)
+
+    return buf
+}
+
+/**
+ * Smallest message id from 1 up that is not in `used`
+ */
+const allocateSmsId = (used) => {
+    for (let id = 1; id <= USHRT_MAX; id++) {
+        if (!used.has(id)) {
+            return id
+        }
+    }
+    throw new Error('No free message id left on the device')
+}
+
+module.exports = {
+    SMS_TAGS,
+    SMS_RECORD_SIZE,
+    USER_SMS_RECORD_SIZE,
+    decodeSms,
+    encodeSms,
+    decodeUserSms,
+    encodeUserSms,
+    allocateSmsId
+}
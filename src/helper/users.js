@@ -0,0 +1,124 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {USHRT_MAX} = require('./command')
+const {ValidationError} = require('../exceptions/handler')
+
+// Fields compared between the desired roster and the device, userId is the key
+const SYNC_FIELDS = ['name', 'password', 'role', 'cardno', 'group', 'enabled']
+
+/**
+ * Values of the device and the roster are compared as strings, the device
+ * returns e.g. the group of 28-byte records as a string
+ */
+const sameValue = (current, desired) => String(current) === String(desired)
+
+/**
+ * Smallest uids from 1 up that are not in `used`
+ */
+const allocateUids = (used, count) => {
+    const uids = []
+    for (let uid = 1; uid <= USHRT_MAX && uids.length < count; uid++) {
+        if (!used.has(uid)) {
+            uids.push(uid)
+        }
+    }
+
+    if (uids.length < count) {
+        throw new Error('No free uid left on the device')
+    }
+    return uids
+}
+
+/**
+ * Compute the changes that turn the users on the device into the desired roster.
+ * Users are matched by userId, fields the roster leaves undefined keep their
+ * current value. New users keep the uid they ask for when it is free, the others
+ * get the smallest free ones.
+ * @param {Array<Object>} current - users as returned by getUsers
+ * @param {Array<Object>} desired - users as accepted by setUser, uid optional
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteMissing=true] - delete device users missing from the roster, and
+ * the extra records of a userId the device holds more than once
+ * @returns {{add: Array<Object>, update: Array<{user: Object, changes: Array}>, delete: Array<Object>,
+ * conflicts: Array<{user: Object, reason: string}>, unchanged: number}} conflicts holds the extra records
+ * that are kept because deleteMissing is off
+ */
+const planUserSync = (current, desired, {deleteMissing = true} = {}) => {
+    const byUserId = new Map()
+    const duplicates = []
+
+    // A userId present twice on the device is a leftover, the first record is the one synced
+    for (const user of current) {
+        if (byUserId.has(user.userId)) {
+            duplicates.push(user)
+        } else {
+            byUserId.set(user.userId, user)
+        }
+    }
+
+    const seen = new Set()
+    const plan = {add: [], update: [], delete: [], conflicts: [], unchanged: 0}
+    const pending = []
+
+    for (const wanted of desired) {
+        if (wanted.userId === undefined || wanted.userId === null || wanted.userId === '') {
+            throw new ValidationError('userId', 'Every user of the roster needs a userId')
+        }
+
+        const userId = String(wanted.userId)
+        if (seen.has(userId)) {
+            throw new ValidationError('userId', `userId ${userId} appears more than once in the roster`)
+        }
+        seen.add(userId)
+
+        const existing = byUserId.get(userId)
+        if (!existing) {
+            pending.push({...wanted, userId})
+            continue
+        }
+
+        const changes = SYNC_FIELDS
+            .filter(field => wanted[field] !== undefined && !sameValue(existing[field], wanted[field]))
+            .map(field => ({field, from: existing[field], to: wanted[field]}))
+
+        if (changes.length) {
+            const user = {...existing}
+            changes.forEach(({field, to}) => {
+                user[field] = to
+            })
+            plan.update.push({user, changes})
+        } else {
+            plan.unchanged++
+        }
+    }
+
+    if (deleteMissing) {
+        plan.delete = [...byUserId.values()].filter(user => !seen.has(user.userId))
+        plan.delete.push(...duplicates)
+    } else {
+        plan.conflicts = duplicates.map(user => ({user, reason: `userId ${user.userId} appears more than once on the device`}))
+    }
+
+    // Uids of deleted users aren't reused, the deletes may fail
+    const used = new Set(current.map(user => user.uid))
+    const requested = new Set()
+    const keepUid = pending.filter(user => {
+        const uid = Number(user.uid)
+        if (!user.uid || used.has(uid) || requested.has(uid)) {
+            return false
+        }
+        requested.add(uid)
+        return true
+    })
+
+    const free = allocateUids(new Set([...used, ...requested]), pending.length - keepUid.length)
+    plan.add = pending.map(user => keepUid.includes(user) ? {...user, uid: Number(user.uid)} : {...user, uid: free.shift()})
+
+    return plan
+}
+
+module.exports = {planUserSync, allocateUids}
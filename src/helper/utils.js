@@ -4,8 +4,9 @@
  * Date: 2024-07-01
  */
 
-const {USHRT_MAX, COMMANDS} = require('./command')
+const {USHRT_MAX, COMMANDS, OPERATION_NAMES} = require('./command')
 const {log} = require('../logs/log')
+const {AbortError, ValidationError} = require('../exceptions/handler')
 
 
 const parseTimeToDate = (time) => {
@@ -52,6 +53,29 @@ const createChkSum = (buf) => {
     return chksum;
 }
 
+/**
+ * Check the checksum of a received packet (header + payload, without the TCP prefix)
+ * @param {Buffer} packet
+ * @returns {boolean}
+ */
+module.exports.verifyChecksum = (packet) => {
+    if (packet.length < 8) {
+        return false
+    }
+
+    const copy = Buffer.from(packet)
+    const expected = copy.readUInt16LE(2)
+    copy.writeUInt16LE(0, 2)
+
+    if (createChkSum(copy) === expected) {
+        return true
+    }
+
+    // Some firmwares compute the checksum before bumping the reply id, the same way createUDPHeader does
+    copy.writeUInt16LE((copy.readUInt16LE(6) + USHRT_MAX - 1) % USHRT_MAX, 6)
+    return createChkSum(copy) === expected
+}
+
 module.exports.createUDPHeader = (command, sessionId, replyId, data) => {
     const dataBuffer = Buffer.from(data);
     const buf = Buffer.alloc(8 + dataBuffer.length);
@@ -113,43 +137,238 @@ const removeTcpHeader = (buf) => {
 
 module.exports.removeTcpHeader = removeTcpHeader
 
+/**
+ * 28-byte user record of older (TFT-era) firmwares:
+ * uid u16, role u8, password 5, name 8, card u32, pad, group u8, timezone i16, userId u32
+ */
+// Bit 0 of the privilege byte marks a disabled user, the rest is the role
+const USER_DISABLED = 1
+
 module.exports.decodeUserData28 = (userData) => {
+    const privilege = userData.readUIntLE(2, 1)
     const user = {
         uid: userData.readUIntLE(0, 2),
-        role: userData.readUIntLE(2, 1),
+        role: privilege & ~USER_DISABLED,
+        enabled: !(privilege & USER_DISABLED),
+        password: userData
+            .subarray(3, 3 + 5)
+            .toString('ascii')
+            .split('\0')
+            .shift(),
         name: userData
             .slice(8, 8 + 8)
             .toString('ascii')
             .split('\0')
             .shift(),
-        userId: userData.readUIntLE(24, 4)
+        cardno: userData.readUIntLE(16, 4),
+        group: String(userData.readUIntLE(21, 1)),
+        userId: String(userData.readUIntLE(24, 4))
     };
     return user;
 }
-
 module.exports.decodeUserData72 = (userData) => {
+    const privilege = userData.readUIntLE(2, 1)
     const user = {
         uid: userData.readUIntLE(0, 2),
-        role: userData.readUIntLE(2, 1),
+        role: privilege & ~USER_DISABLED,
+        enabled: !(privilege & USER_DISABLED),
         password: userData
             .subarray(3, 3 + 8)
             .toString('ascii')
             .split('\0')
             .shift(),
         name: userData
-            .slice(11)
+            .slice(11, 11 + 24)
             .toString('ascii')
             .split('\0')
             .shift(),
         cardno: userData.readUIntLE(35, 4),
+        group: userData
+            .subarray(40, 40 + 7)
+            .toString('ascii')
+            .split('\0')
+            .shift(),
         userId: userData
-            .slice(48, 48 + 9)
+            .slice(48, 48 + 24)
             .toString('ascii')
             .split('\0')
             .shift(),
     };
     return user;
 }
+/**
+ * Privilege byte of a user, `enabled` left undefined keeps the bit of `role` as is
+ */
+const encodePrivilege = (role, enabled) => {
+    if (enabled === undefined) {
+        return role
+    }
+    return (role & ~USER_DISABLED) | (enabled ? 0 : USER_DISABLED)
+}
+
+const encodeUserData28 = ({uid, role = 0, enabled, password = '', name = '', cardno = 0, group = 0, userId}) => {
+    const buf = Buffer.alloc(28)
+
+    buf.writeUInt16LE(uid, 0)
+    buf.writeUInt8(encodePrivilege(role, enabled), 2)
+    buf.write(password, 3, 5, 'ascii')
+    buf.write(name, 8, 8, 'ascii')
+    buf.writeUInt32LE(cardno, 16)
+    buf.writeUInt8(parseInt(group) || 0, 21)
+    buf.writeInt16LE(0, 22) // timezone, the user uses the group's
+    buf.writeUInt32LE(parseInt(userId), 24)
+
+    return buf
+}
+const encodeUserData72 = ({uid, role = 0, enabled, password = '', name = '', cardno = 0, group = '', userId}) => {
+    const buf = Buffer.alloc(72)
+
+    buf.writeUInt16LE(uid, 0)
+    buf.writeUInt8(encodePrivilege(role, enabled), 2)
+    buf.write(password, 3, 8, 'ascii')
+    buf.write(name, 11, 24, 'ascii')
+    buf.writeUInt32LE(cardno, 35)
+    buf.write(String(group), 40, 7, 'ascii')
+    buf.write(String(userId), 48, 24, 'ascii')
+
+    return buf
+}
+
+module.exports.encodeUserData28 = encodeUserData28
+module.exports.encodeUserData72 = encodeUserData72
+
+/**
+ * User record as uploaded in bulk with CMD_SAVE_USERTEMPS: a leading 0x02,
+ * and on 72-byte firmwares a 1 in the pad byte after the card number
+ */
+module.exports.encodeUserBulkRecord = (user, packetSize) => {
+    const record = packetSize === 28 ? encodeUserData28(user) : encodeUserData72(user)
+    if (packetSize === 72) {
+        record.writeUInt8(1, 39)
+    }
+    return Buffer.concat([Buffer.from([2]), record])
+}
+
+// Text area of the device screen
+const LCD_LINES = 4
+const LCD_COLUMNS = 32
+
+/**
+ * Payload of CMD_WRITE_LCD: line i16, column i8, a space, then the text
+ * @param {number} line - 0 to 3
+ * @param {number} column - 0 to 31
+ * @param {string} text - printable ASCII that fits the line from `column` on
+ */
+module.exports.encodeLcdText = (line, column, text) => {
+    if (!Number.isInteger(line) || line < 0 || line >= LCD_LINES) {
+        throw new ValidationError('line', `line must be an integer between 0 and ${LCD_LINES - 1}`)
+    }
+    if (!Number.isInteger(column) || column < 0 || column >= LCD_COLUMNS) {
+        throw new ValidationError('column', `column must be an integer between 0 and ${LCD_COLUMNS - 1}`)
+    }
+    // The firmware only renders single-byte characters
+    if (typeof text !== 'string' || !/^[\x20-\x7e]+$/.test(text)) {
+        throw new ValidationError('text', 'text must be a non-empty string of printable ASCII characters')
+    }
+    if (column + text.length > LCD_COLUMNS) {
+        throw new ValidationError('text', `text must fit in ${LCD_COLUMNS - column} characters from column ${column}`)
+    }
+
+    const buf = Buffer.alloc(4 + text.length)
+    buf.writeInt16LE(line, 0)
+    buf.writeInt8(column, 2)
+    buf.write(' ', 3, 'ascii')
+    buf.write(text, 4, 'ascii')
+
+    return buf
+}
+
+/**
+ * Checksum the device reports for an uploaded buffer (CMD_CHECKSUM_BUFFER)
+ */
+module.exports.bufferChecksum = (buf) => {
+    let sum = 0
+    for (const byte of buf) {
+        sum = (sum + byte) >>> 0
+    }
+    return sum
+}
+
+// Field limits of the two user record layouts
+const USER_FIELD_LIMITS = {
+    28: {password: 5, name: 8, group: 255, userId: /^\d{1,9}$/},
+    72: {password: 8, name: 24, group: 7, userId: /^[\x20-\x7e]{1,24}$/}
+}
+
+/**
+ * Check a user against the record layout and normalize its fields
+ * @param {Object} user - {uid, userId, name, password, role, cardno, group, enabled}
+ * @param {number} packetSize - 28 or 72
+ * @returns {Object} the user with numbers parsed and defaults filled in
+ * @throws {ValidationError} naming the first invalid field
+ */
+module.exports.validateUser = (user, packetSize = 72) => {
+    const limits = USER_FIELD_LIMITS[packetSize]
+    const {
+        uid, userId, name = '', password = '', role = 0, cardno = 0, group = packetSize === 28 ? 0 : '', enabled
+    } = user
+
+    const isInteger = (value, max) => /^\d+$/.test(String(value)) && Number(value) <= max
+
+    if (!isInteger(uid, USHRT_MAX) || Number(uid) === 0) {
+        throw new ValidationError('uid', `uid must be an integer between 1 and ${USHRT_MAX}`)
+    }
+    if (userId === undefined || userId === null || !limits.userId.test(String(userId))) {
+        throw new ValidationError('userId', packetSize === 28
+            ? 'userId must be numeric with at most 9 digits on 28-byte user records'
+            : 'userId must be 1 to 24 printable ASCII characters')
+    }
+    if (typeof name !== 'string' || Buffer.byteLength(name, 'ascii') > limits.name) {
+        throw new ValidationError('name', `name must be a string of at most ${limits.name} characters`)
+    }
+    if (typeof password !== 'string' || Buffer.byteLength(password, 'ascii') > limits.password) {
+        throw new ValidationError('password', `password must be a string of at most ${limits.password} characters`)
+    }
+    if (!isInteger(role, 255)) {
+        throw new ValidationError('role', 'role must be an integer between 0 and 255')
+    }
+    if (!isInteger(cardno, 0xffffffff)) {
+        throw new ValidationError('cardno', 'cardno must be an integer between 0 and 4294967295')
+    }
+    if (packetSize === 28 ? !isInteger(group, limits.group) : String(group).length > limits.group) {
+        throw new ValidationError('group', packetSize === 28
+            ? 'group must be an integer between 0 and 255 on 28-byte user records'
+            : 'group must be at most 7 characters')
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new ValidationError('enabled', 'enabled must be a boolean')
+    }
+
+    return {
+        uid: Number(uid),
+        userId: String(userId),
+        name,
+        password,
+        role: Number(role),
+        cardno: Number(cardno),
+        group: String(group),
+        enabled
+    }
+}
+module.exports.detectUserPacketSize = (byteLength, userCount) => {
+    if (userCount > 0 && [28, 72].includes(byteLength / userCount)) {
+        return byteLength / userCount
+    }
+
+    // Without a usable count the length has to fit one of the sizes only
+    const fits72 = byteLength % 72 === 0
+    const fits28 = byteLength % 28 === 0
+    if (byteLength > 0 && fits72 !== fits28) {
+        return fits72 ? 72 : 28
+    }
+
+    return null
+}
 
 module.exports.decodeRecordData40 = (recordData) => {
     const record = {
@@ -166,6 +385,31 @@ module.exports.decodeRecordData40 = (recordData) => {
     return record
 }
 
+/**
+ * Split a table read with readWithBuffer (4 bytes of size, then the records)
+ */
+module.exports.decodeTable = (data, recordSize, decode) => {
+    const records = []
+    for (let offset = 4; offset + recordSize <= data.length; offset += recordSize) {
+        records.push(decode(data.subarray(offset, offset + recordSize)))
+    }
+    return records
+}
+
+/**
+ * Operation log record, 16 bytes: operator uid u16, operation u8, pad,
+ * time u32, then 4 parameters u16 (e.g. the uid an enrollment was for)
+ */
+module.exports.decodeOperationLog16 = (recordData) => {
+    const code = recordData.readUInt8(2)
+    return {
+        operator: recordData.readUInt16LE(0),
+        code,
+        name: OPERATION_NAMES[code] || 'UNKNOWN',
+        timestamp: parseTimeToDate(recordData.readUInt32LE(4)),
+        params: [0, 1, 2, 3].map(i => recordData.readUInt16LE(8 + i * 2))
+    }
+}
 module.exports.decodeRecordData16 = (recordData) => {
     const record = {
         user_id: recordData.readUIntLE(0, 2), record_time: parseTimeToDate(recordData.readUInt32LE(4))
@@ -216,6 +460,101 @@ module.exports.decodeTCPHeader = (header) => {
 }
 
 
+/**
+ * Scramble the numeric comm key with the session id the way ZKTeco firmware
+ * expects it in the CMD_AUTH payload.
+ * @param {number|string} key - comm key configured on the device (0 when unset)
+ * @param {number} sessionId - session id returned by CMD_CONNECT
+ * @param {number} ticks - salt byte, firmware uses 50
+ * @returns {Buffer} 4 byte auth payload
+ */
+module.exports.makeCommKey = (key, sessionId, ticks = 50) => {
+    key = parseInt(key) || 0
+
+    // Reverse the bit order of the 32 bit key
+    let k = 0
+    for (let i = 0; i < 32; i++) {
+        k = k * 2 + ((key >>> i) & 1)
+    }
+    k = (k + sessionId) >>> 0
+
+    const buf = Buffer.alloc(4)
+    buf.writeUInt32LE(k, 0)
+
+    // XOR with 'ZKSO'
+    buf[0] ^= 0x5a
+    buf[1] ^= 0x4b
+    buf[2] ^= 0x53
+    buf[3] ^= 0x4f
+
+    // Swap the two 16 bit halves
+    const swapped = Buffer.alloc(4)
+    swapped.writeUInt16LE(buf.readUInt16LE(2), 0)
+    swapped.writeUInt16LE(buf.readUInt16LE(0), 2)
+
+    const b = ticks & 0xff
+    swapped[0] ^= b
+    swapped[1] ^= b
+    swapped[2] = b
+    swapped[3] ^= b
+
+    return swapped
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempt - 1 for the first attempt
+ * @param {{initialDelay: number, maxDelay: number, factor: number, jitter: number}} policy
+ * @returns {number} delay in milliseconds
+ */
+module.exports.computeBackoffDelay = (attempt, policy) => {
+    const base = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 1))
+    const spread = base * policy.jitter
+    return Math.max(0, Math.round(base - spread + Math.random() * spread * 2))
+}
+
+/**
+ * Throughput of a bulk read
+ * @param {number} bytes - bytes received
+ * @param {number} chunks - chunks received
+ * @param {number} startedAt - timestamp the transfer started at
+ * @returns {{bytes: number, chunks: number, duration: number, bytesPerSecond: number}}
+ */
+module.exports.transferStats = (bytes, chunks, startedAt) => {
+    const duration = Date.now() - startedAt
+    return {
+        bytes,
+        chunks,
+        duration,
+        bytesPerSecond: duration > 0 ? Math.round(bytes * 1000 / duration) : bytes
+    }
+}
+
+/**
+ * Wait `ms`, rejecting with an AbortError as soon as `signal` aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+module.exports.sleep = (ms, signal = null) => {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new AbortError())
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(new AbortError())
+        }
+
+        const timer = setTimeout(() => {
+            signal && signal.removeEventListener('abort', onAbort)
+            resolve()
+        }, ms)
+
+        signal && signal.addEventListener('abort', onAbort, {once: true})
+    })
+}
+
 module.exports.exportErrorMessage = (commandValue) => {
     const keys = Object.keys(COMMANDS)
     for (let i = 0; i < keys.length; i++) {
@@ -227,6 +566,19 @@ module.exports.exportErrorMessage = (commandValue) => {
     return 'AN UNKNOWN ERROR'
 }
 
+/**
+ * Payload of a command reply, throws when the device didn't answer CMD_ACK_OK
+ * @param {Buffer} reply - header and payload as returned by executeCmd
+ * @param {string} step - names the command in the error
+ */
+module.exports.replyPayload = (reply, step) => {
+    const commandId = reply.readUInt16LE(0)
+    if (commandId !== COMMANDS.CMD_ACK_OK) {
+        throw new Error(`${step} failed: ${module.exports.exportErrorMessage(commandId)}`)
+    }
+    return reply.subarray(8)
+}
+
 module.exports.checkNotEventTCP = (data) => {
     try {
         data = removeTcpHeader(data)
@@ -6,51 +6,112 @@
 
 
 const net = require('net')
-const {MAX_CHUNK, COMMANDS, REQUEST_DATA} = require('./helper/command')
+const EventEmitter = require('events')
+const {MAX_CHUNK, USHRT_MAX, DEFAULT_USER_PACKET_SIZE, COMMANDS, REQUEST_DATA} = require('./helper/command')
 const timeParser = require('./helper/time');
 
 const {
     createTCPHeader,
     exportErrorMessage,
-    removeTcpHeader,
+    decodeUserData28,
     decodeUserData72,
     decodeRecordData40,
     decodeRecordRealTimeLog52,
-    checkNotEventTCP,
-    decodeTCPHeader
+    makeCommKey,
+    sleep,
+    transferStats
 } = require('./helper/utils')
 
+const {PRIORITY} = require('./helper/queue')
+const {TCPFramer} = require('./helper/framer')
 const {log} = require('./logs/log')
+const {AbortError} = require('./exceptions/handler')
+const {DeviceControl} = require('./helper/control')
 const {error} = require('console')
 
-class ZTCP {
-    constructor(ip, port, timeout) {
+class ZTCP extends DeviceControl {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.logger=console] - receives info, warn and error calls
+     * @param {number} [options.connectTimeout=2000] - wait for the CMD_CONNECT/CMD_EXIT reply
+     * @param {number} [options.chunkTimeout=10000] - inactivity allowed while a chunk of a bulk read arrives
+     * @param {number} [options.chunkWindow=4] - chunk requests of a bulk read in flight at once
+     * @param {number} [options.userPacketSize] - 28 or 72, detected from the device when omitted
+     */
+    constructor(ip, port, timeout, commKey = 0, {logger = console, connectTimeout = 2000, chunkTimeout = 10000, chunkWindow = 4, userPacketSize = null} = {}) {
+        super();
         this.ip = ip;
         this.port = port;
         this.timeout = timeout;
+        this.commKey = commKey;
+        this.logger = logger;
+        this.connectTimeout = connectTimeout;
+        this.chunkTimeout = chunkTimeout;
+        this.chunkWindow = chunkWindow;
+        this.lastTransferStats = null;
+        this.userPacketSize = userPacketSize;
+        this.userPacketSizeGuessed = false;
         this.sessionId = null;
         this.replyId = 0;
         this.socket = null;
+
+        this.authTimestamp = null;
+        this.lastReplyTimestamp = null;
+        this.pendingCommands = 0;
+        this.heartbeat = null;
+        this.missedBeats = 0;
+
+        // Command queue shared with ZktecoJs, heartbeat beats go through it when set
+        this.queue = null;
+
+        // Packets are matched to the request waiting for their replyId
+        this.replyHandlers = new Map();
+        // CMD_REG_EVENT packets (real-time logs) are emitted here as 'event'
+        this.eventChannel = new EventEmitter();
+        this.realTimeListener = null;
+        this.verifyChecksum = true;
+
+        // Signal of the operation running under withAbort, new requests fail once it aborts
+        this.activeSignal = null;
+        // Set between CMD_DISABLEDEVICE and CMD_ENABLEDEVICE so an abort can re-enable the device
+        this.deviceDisabled = false;
     }
 
     createSocket(cbError, cbClose) {
         return new Promise((resolve, reject) => {
-            this.socket = new net.Socket();
+            const socket = new net.Socket();
+            this.socket = socket;
+
+            // Cut the byte stream into packets and route them
+            const framer = new TCPFramer({verifyChecksum: this.verifyChecksum});
+            framer.on('packet', (packet) => this.handlePacket(packet));
+            framer.on('invalid', (raw, reason) => log(`[TCP] dropped ${raw.length} bytes: ${reason}`));
+            socket.on('data', (chunk) => framer.push(chunk));
 
             // Handle socket error
-            this.socket.once('error', (err) => {
-                this.socket = null; // Ensure socket reference is cleared
+            socket.once('error', (err) => {
+                clearTimeout(connectTimer);
+                if (this.socket === socket) this.socket = null; // Ensure socket reference is cleared
                 reject(err);
                 if (typeof cbError === 'function') cbError(err);
             });
 
+            // Give up on devices that silently drop TCP so callers can fall back to UDP
+            const connectTimer = this.timeout ? setTimeout(() => {
+                socket.destroy(new Error('TIMEOUT_ON_CONNECTING'));
+            }, this.timeout) : null;
+
             // Handle successful connection
-            this.socket.once('connect', () => {
-                resolve(this.socket);
+            socket.once('connect', () => {
+                clearTimeout(connectTimer);
+                resolve(socket);
             });
 
-            // Handle socket closure
-            this.socket.once('close', () => {
+            // Handle socket closure, unless the socket has already been replaced by a new one
+            socket.once('close', () => {
+                if (this.socket && this.socket !== socket) return;
+                this.stopHeartbeat();
+                this.rejectPendingReplies(new Error('Socket is disconnected unexpectedly'));
                 this.socket = null; // Ensure socket reference is cleared
                 if (typeof cbClose === 'function') cbClose('tcp');
             });
@@ -68,78 +129,57 @@ class ZTCP {
     async connect() {
         try {
             const reply = await this.executeCmd(COMMANDS.CMD_CONNECT, '');
-            if (reply) {
-                console.log('Connection successful', reply);
-                // Connection successful
-                return true;
-            } else {
+            if (!reply) {
                 // No reply received; throw an error
                 throw new Error('NO_REPLY_ON_CMD_CONNECT');
             }
+
+            // Devices protected by a comm key answer CMD_CONNECT with an auth challenge
+            if (reply.readUInt16LE(0) === COMMANDS.CMD_ACK_UNAUTH) {
+                await this.authenticate();
+            }
+
+            // Store the authentication timestamp for session validation
+            this.authTimestamp = Date.now();
+            return true;
         } catch (err) {
             // Log the error for debugging, if necessary
-            console.error('Failed to connect:', err);
+            this.logger.error('Failed to connect:', err);
             // Re-throw the error for handling by the caller
             throw err;
         }
     }
 
-    async connectWithAuth(password) {
-        try {
-            // Reset session and reply IDs
-            this.sessionId = 0;
-            this.replyId = 0;
-
-            // First establish a connection
-            await this.connect();
-
-            // Hash the password using SHA-256
-            const crypto = require('crypto');
-            const hashedPassword = crypto.createHash('sha256').update(password).digest('hex');
-
-            // Create a buffer for the hashed password with proper length
-            const passwordBuffer = Buffer.alloc(64); // SHA-256 produces 64 hex characters
-            passwordBuffer.write(hashedPassword, 0);
-
-            // Add a timestamp to prevent replay attacks
-            const timestamp = Buffer.alloc(8);
-            timestamp.writeBigInt64LE(BigInt(Date.now()), 0);
-
-            // Combine password and timestamp
-            const authBuffer = Buffer.concat([passwordBuffer, timestamp]);
-
-            // Send authentication command with hashed password and timestamp
-            const reply = await this.executeCmd(COMMANDS.CMD_AUTH, authBuffer);
-
-            if (reply) {
-                // Verify the response integrity
-                if (reply.length < 6) {
-                    throw new Error('INVALID_AUTH_RESPONSE');
-                }
+    /**
+     * Answer the CMD_ACK_UNAUTH challenge with the comm key scrambled by the session id
+     * @returns {Promise<boolean>}
+     */
+    async authenticate() {
+        const reply = await this.executeCmd(COMMANDS.CMD_AUTH, makeCommKey(this.commKey, this.sessionId));
 
-                // Extract and verify session ID
-                const receivedSessionId = reply.readUInt16LE(4);
-                if (receivedSessionId === 0) {
-                    throw new Error('INVALID_SESSION_ID');
-                }
+        if (!reply) {
+            throw new Error('NO_REPLY_ON_CMD_AUTH');
+        }
 
-                // Store the session ID
-                this.sessionId = receivedSessionId;
+        if (reply.readUInt16LE(0) !== COMMANDS.CMD_ACK_OK) {
+            throw new Error('UNAUTHORIZED: the device rejected the comm key');
+        }
 
-                // Store the authentication timestamp for session validation
-                this.authTimestamp = Date.now();
+        return true;
+    }
 
-                return true;
-            } else {
-                throw new Error('NO_REPLY_ON_CMD_AUTH');
-            }
-        } catch (err) {
-            console.error('Failed to authenticate:', err);
-            throw err;
-        }
+    /**
+     * Connect using the given comm key instead of the one passed to the constructor
+     * @param {number|string} commKey
+     */
+    async connectWithAuth(commKey) {
+        this.commKey = commKey;
+        return await this.connect();
     }
 
     async closeSocket() {
+        this.stopHeartbeat();
+
         return new Promise((resolve, reject) => {
             // If no socket is present, resolve immediately
             if (!this.socket) {
@@ -169,324 +209,379 @@ class ZTCP {
         });
     }
 
-    writeMessage(msg, connect) {
+    /**
+     * Route a framed packet to the request waiting for its replyId, events
+     * (CMD_REG_EVENT) go to the event channel
+     * @param {Object} packet - see TCPFramer
+     */
+    handlePacket(packet) {
+        if (packet.commandId === COMMANDS.CMD_REG_EVENT) {
+            this.eventChannel.emit('event', packet);
+            return;
+        }
+
+        const handler = this.replyHandlers.get(packet.replyId);
+        if (handler) {
+            handler.onPacket(packet);
+        }
+        // Replies nobody waits for anymore (timed out requests, trailing ACKs) are dropped
+    }
+
+    /**
+     * Fail every request still waiting for a reply
+     * @param {Error} err
+     */
+    rejectPendingReplies(err) {
+        for (const handler of [...this.replyHandlers.values()]) {
+            handler.onClose(err);
+        }
+        this.replyHandlers.clear();
+    }
+
+    /**
+     * Run an operation that can be cancelled with `signal`. Aborting fails the
+     * request in flight and every later one, then the device is brought back
+     * to idle with `cleanupCommands` (e.g. CMD_FREE_DATA) and re-enabled if the
+     * operation had disabled it.
+     * @param {AbortSignal} signal
+     * @param {Function} operation - async function talking to the device
+     * @param {Array<number>} cleanupCommands - commands sent after an abort
+     * @returns {Promise<*>} result of the operation, rejects with AbortError when aborted
+     */
+    async withAbort(signal, operation, cleanupCommands = []) {
+        if (!signal) {
+            return await operation();
+        }
+
+        if (signal.aborted) {
+            throw new AbortError();
+        }
+
+        const onAbort = () => this.rejectPendingReplies(new AbortError());
+        signal.addEventListener('abort', onAbort, {once: true});
+        this.activeSignal = signal;
+
+        try {
+            const result = await operation();
+            if (!signal.aborted) {
+                return result;
+            }
+        } catch (err) {
+            if (!signal.aborted) {
+                throw err;
+            }
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+            this.activeSignal = null;
+        }
+
+        await this.recoverFromAbort(cleanupCommands);
+        throw new AbortError();
+    }
+
+    async recoverFromAbort(cleanupCommands) {
+        for (const command of cleanupCommands) {
+            if (!this.socket) return;
+            try {
+                await this.executeCmd(command, '');
+            } catch (err) {
+                this.logger.error(`Error sending ${exportErrorMessage(command)} after abort:`, err);
+            }
+        }
+
+        if (this.deviceDisabled && this.socket) {
+            try {
+                await this.enableDevice();
+            } catch (err) {
+                this.logger.error('Error re-enabling the device after abort:', err);
+            }
+        }
+    }
+
+    /**
+     * Build the next request packet
+     * @returns {{buf: Buffer, replyId: number}} replyId is the id the device will answer with
+     */
+    createRequest(command, data) {
+        // Reset sessionId and replyId for connection commands
+        if (command === COMMANDS.CMD_CONNECT) {
+            this.sessionId = 0;
+            this.replyId = 0;
+        } else {
+            this.replyId = (this.replyId + 1) % USHRT_MAX;
+        }
+
+        const buf = createTCPHeader(command, this.sessionId, this.replyId, data);
+        return {buf, replyId: buf.readUInt16LE(14)};
+    }
+
+    /**
+     * Send a request and resolve with the first packet carrying its replyId
+     * @param {{buf: Buffer, replyId: number}} request
+     * @param {boolean} connect - use the short connect timeout
+     * @param {number} timeout - overrides the instance timeout for this request
+     * @returns {Promise<Object>} packet, see TCPFramer
+     */
+    writeMessage({buf, replyId}, connect, timeout = this.timeout) {
         return new Promise((resolve, reject) => {
             // Check if the socket is initialized
             if (!this.socket) {
                 return reject(new Error('Socket is not initialized'));
             }
 
+            if (this.activeSignal && this.activeSignal.aborted) {
+                return reject(new AbortError());
+            }
+
             // Define a variable for the timeout reference
             let timer = null;
 
-            // Handle incoming data
-            const onData = (data) => {
-                // Check if the socket is still valid before trying to remove the listener
-                if (this.socket) {
-                    this.socket.removeListener('data', onData); // Remove the data event listener
-                }
-                clearTimeout(timer); // Clear the timeout once data is received
-                resolve(data); // Resolve the promise with the received data
+            const settle = (err, packet) => {
+                clearTimeout(timer); // Clear the timeout once the exchange is over
+                this.replyHandlers.delete(replyId);
+                err ? reject(err) : resolve(packet);
             };
 
-            // Attach the data event listener
-            this.socket.once('data', onData);
+            this.replyHandlers.set(replyId, {
+                onPacket: (packet) => settle(null, packet),
+                onClose: (err) => settle(err)
+            });
 
             // Attempt to write the message to the socket
-            this.socket.write(msg, null, (err) => {
+            this.socket.write(buf, null, (err) => {
                 if (err) {
-                    // Check if the socket is still valid before trying to remove the listener
-                    if (this.socket) {
-                        this.socket.removeListener('data', onData); // Clean up listener on write error
-                    }
-                    return reject(err); // Reject the promise with the write error
+                    return settle(err); // Reject the promise with the write error
                 }
 
                 // If a timeout is set, configure it
-                if (this.timeout) {
+                if (timeout) {
                     timer = setTimeout(() => {
-                        // Check if the socket is still valid before trying to remove the listener
-                        if (this.socket) {
-                            this.socket.removeListener('data', onData); // Remove listener on timeout
-                        }
-                        reject(new Error('TIMEOUT_ON_WRITING_MESSAGE')); // Reject the promise on timeout
-                    }, connect ? 2000 : this.timeout);
+                        settle(new Error('TIMEOUT_ON_WRITING_MESSAGE')); // Reject the promise on timeout
+                    }, connect ? this.connectTimeout : timeout);
                 }
             });
         });
     }
 
 
-    requestData(msg) {
-        return new Promise((resolve, reject) => {
-            let timer = null;
-            let replyBuffer = Buffer.from([]);
-
-            // Internal callback to handle data reception
-            const internalCallback = (data) => {
-                if (this.socket) {
-                    this.socket.removeListener('data', handleOnData); // Clean up listener
-                }
-                if (timer) clearTimeout(timer); // Clear the timeout
-                resolve(data); // Resolve the promise with the data
-            };
-
-            // Handle incoming data
-            const handleOnData = (data) => {
-                replyBuffer = Buffer.concat([replyBuffer, data]); // Accumulate data
-
-                // Check if the data is a valid TCP event
-                if (checkNotEventTCP(data)) return;
-
-                // Decode the TCP header
-                const header = decodeTCPHeader(replyBuffer.subarray(0, 16));
-
-                // Handle based on command ID
-                if (header.commandId === COMMANDS.CMD_DATA) {
-                    // Set a timeout to handle delayed responses
-                    timer = setTimeout(() => {
-                        internalCallback(replyBuffer); // Resolve with accumulated buffer
-                    }, 1000);
-                } else {
-                    // Set a timeout to handle errors
-                    timer = setTimeout(() => {
-                        if (this.socket) {
-                            this.socket.removeListener('data', handleOnData); // Clean up listener on timeout
-                        }
-                        reject(new Error('TIMEOUT_ON_RECEIVING_REQUEST_DATA')); // Reject on timeout
-                    }, this.timeout);
-
-                    // Extract packet length and handle accordingly
-                    const packetLength = data.readUIntLE(4, 2);
-                    if (packetLength > 8) {
-                        internalCallback(data); // Resolve immediately if sufficient data
-                    }
-                }
-            };
-
-            // Ensure the socket is valid before attaching the listener
-            if (this.socket) {
-                this.socket.on('data', handleOnData);
-
-                // Write the message to the socket
-                this.socket.write(msg, null, (err) => {
-                    if (err) {
-                        if (this.socket) {
-                            this.socket.removeListener('data', handleOnData); // Clean up listener on error
-                        }
-                        return reject(err); // Reject the promise with the error
-                    }
-
-                    // Set a timeout to handle cases where no response is received
-                    timer = setTimeout(() => {
-                        if (this.socket) {
-                            this.socket.removeListener('data', handleOnData); // Clean up listener on timeout
-                        }
-                        reject(new Error('TIMEOUT_IN_RECEIVING_RESPONSE_AFTER_REQUESTING_DATA')); // Reject on timeout
-                    }, this.timeout);
-                });
-            } else {
-                reject(new Error('SOCKET_NOT_INITIALIZED')); // Reject if socket is not initialized
-            }
-        }).catch((err) => {
-            console.error("Promise Rejected:", err); // Log the rejection reason
-            throw err; // Re-throw the error to be handled by the caller
-        });
-    }
-
-
     /**
      *
      * @param {*} command
      * @param {*} data
+     * @param {Object} options - {timeout} overrides the instance timeout
      *
      *
      * reject error when command fail and resolve data when success
      */
 
-    async executeCmd(command, data) {
-        // Reset sessionId and replyId for connection commands
-        if (command === COMMANDS.CMD_CONNECT) {
-            this.sessionId = 0;
-            this.replyId = 0;
-        } else {
-            this.replyId++;
-        }
-
-        const buf = createTCPHeader(command, this.sessionId, this.replyId, data);
+    async executeCmd(command, data, {timeout = this.timeout} = {}) {
+        const request = this.createRequest(command, data);
 
+        this.pendingCommands++;
         try {
-            // Write the message to the socket and wait for a response
-            const reply = await this.writeMessage(buf, command === COMMANDS.CMD_CONNECT || command === COMMANDS.CMD_EXIT);
-
-            // Remove TCP header from the response
-            const rReply = removeTcpHeader(reply);
+            // Write the message to the socket and wait for the matching response
+            const reply = await this.writeMessage(request, command === COMMANDS.CMD_CONNECT || command === COMMANDS.CMD_EXIT, timeout);
+            this.lastReplyTimestamp = Date.now();
 
             // Update sessionId for connection command responses
-            if (command === COMMANDS.CMD_CONNECT && rReply && rReply.length >= 6) { // Assuming sessionId is located at offset 4 and is 2 bytes long
-                this.sessionId = rReply.readUInt16LE(4);
+            if (command === COMMANDS.CMD_CONNECT) {
+                this.sessionId = reply.sessionId;
             }
 
-            return rReply;
+            // Header and payload, without the TCP prefix
+            return reply.data;
         } catch (err) {
             // Log or handle the error if necessary
-            console.error('Error executing command:', err);
+            this.logger.error('Error executing command:', err);
             throw err; // Re-throw the error for handling by the caller
+        } finally {
+            this.pendingCommands--;
         }
     }
 
-    async sendChunkRequest(start, size) {
-        this.replyId++;
-        const reqData = Buffer.alloc(8);
-        reqData.writeUInt32LE(start, 0);
-        reqData.writeUInt32LE(size, 4);
-        const buf = createTCPHeader(COMMANDS.CMD_DATA_RDY, this.sessionId, this.replyId, reqData);
-
-        try {
-            await new Promise((resolve, reject) => {
-                this.socket.write(buf, null, (err) => {
-                    if (err) {
-                        console.error(`[TCP][SEND_CHUNK_REQUEST] Error sending chunk request: ${err.message}`);
-                        reject(err); // Reject the promise if there is an error
-                    } else {
-                        resolve(); // Resolve the promise if the write operation succeeds
-                    }
-                });
-            });
-        } catch (err) {
-            // Handle or log the error as needed
-            console.error(`[TCP][SEND_CHUNK_REQUEST] Exception: ${err.message}`);
-            throw err; // Re-throw the error for handling by the caller
-        }
-    }
-
-
     /**
-     *
-     * @param {*} reqData - indicate the type of data that need to receive ( user or attLog)
-     * @param {*} cb - callback is triggered when receiving packets
-     *
-     * readWithBuffer will reject error if it'wrong when starting request data
-     * readWithBuffer will return { data: replyData , err: Error } when receiving requested data
+     * Request one chunk of the prepared buffer with CMD_DATA_RDY and collect the
+     * CMD_DATA packets answering it
+     * @param {number} start - offset in the prepared buffer
+     * @param {number} size - number of bytes to read
+     * @param {number} timeout - inactivity allowed before giving up on the chunk
+     * @returns {Promise<Buffer>}
      */
-    readWithBuffer(reqData, cb = null) {
-        return new Promise(async (resolve, reject) => {
-
-            this.replyId++;
-            const buf = createTCPHeader(COMMANDS.CMD_DATA_WRRQ, this.sessionId, this.replyId, reqData)
-            let reply = null;
-
-            try {
-                reply = await this.requestData(buf)
-                //console.log(reply.toString('hex'));
-
-            } catch (err) {
-                reject(err)
-                console.log(reply)
-
+    readChunk(start, size, timeout = this.chunkTimeout) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                return reject(new Error('Socket is not initialized'));
             }
 
-            const header = decodeTCPHeader(reply.subarray(0, 16))
-            switch (header.commandId) {
-                case COMMANDS.CMD_DATA: {
-                    resolve({data: reply.subarray(16), mode: 8})
-                    break;
-                }
-                case COMMANDS.CMD_ACK_OK:
-                case COMMANDS.CMD_PREPARE_DATA: {
-                    // this case show that data is prepared => send command to get these data
-                    // reply variable includes information about the size of following data
-                    const recvData = reply.subarray(16)
-                    const size = recvData.readUIntLE(1, 4)
+            if (this.activeSignal && this.activeSignal.aborted) {
+                return reject(new AbortError());
+            }
 
+            const reqData = Buffer.alloc(8);
+            reqData.writeUInt32LE(start, 0);
+            reqData.writeUInt32LE(size, 4);
+            const {buf, replyId} = this.createRequest(COMMANDS.CMD_DATA_RDY, reqData);
 
-                    // We need to split the data to many chunks to receive , because it's to large
-                    // After receiving all chunk data , we concat it to TotalBuffer variable , that 's the data we want
-                    let remain = size % MAX_CHUNK
-                    let numberChunks = Math.round(size - remain) / MAX_CHUNK
-                    let totalPackets = numberChunks + (remain > 0 ? 1 : 0)
-                    let replyData = Buffer.from([])
+            const parts = [];
+            let received = 0;
+            let timer = null;
 
+            const settle = (err) => {
+                clearTimeout(timer);
+                this.replyHandlers.delete(replyId);
+                err ? reject(err) : resolve(Buffer.concat(parts, received));
+            };
 
-                    let totalBuffer = Buffer.from([])
-                    let realTotalBuffer = Buffer.from([])
+            const restartTimer = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    settle(new Error(`TIMEOUT WHEN RECEIVING PACKET: ${size - received} BYTES REMAIN AT OFFSET ${start}`));
+                }, timeout);
+            };
 
+            this.replyHandlers.set(replyId, {
+                onPacket: (packet) => {
+                    restartTimer();
 
-                    const timeout = 10000
-                    let timer = setTimeout(() => {
-                        internalCallback(replyData, new Error('TIMEOUT WHEN RECEIVING PACKET'))
-                    }, timeout)
+                    switch (packet.commandId) {
+                        case COMMANDS.CMD_PREPARE_DATA:
+                            break;
 
+                        case COMMANDS.CMD_DATA:
+                            parts.push(packet.payload);
+                            received += packet.payload.length;
+                            if (received >= size) {
+                                settle(null);
+                            }
+                            break;
 
-                    const internalCallback = (replyData, err = null) => {
-                        // this.socket && this.socket.removeListener('data', handleOnData)
-                        timer && clearTimeout(timer)
-                        resolve({data: replyData, err})
+                        case COMMANDS.CMD_ACK_OK:
+                            if (received >= size) {
+                                settle(null);
+                            }
+                            break;
 
+                        default:
+                            settle(new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(packet.commandId)));
                     }
+                },
+                onClose: (err) => settle(err)
+            });
 
+            this.socket.write(buf, null, (err) => {
+                if (err) {
+                    this.logger.error(`[TCP][SEND_CHUNK_REQUEST] Error sending chunk request: ${err.message}`);
+                    return settle(err);
+                }
+            });
+            restartTimer();
+        });
+    }
 
-                    const handleOnData = (reply) => {
-
-                        if (checkNotEventTCP(reply)) return;
-                        clearTimeout(timer)
-                        timer = setTimeout(() => {
-                            internalCallback(replyData,
-                                new Error(`TIME OUT !! ${totalPackets} PACKETS REMAIN !`))
-                        }, timeout)
 
-                        totalBuffer = Buffer.concat([totalBuffer, reply])
-                        const packetLength = totalBuffer.readUIntLE(4, 2)
-                        if (totalBuffer.length >= 8 + packetLength) {
+    /**
+     *
+     * @param {*} reqData - indicate the type of data that need to receive ( user or attLog)
+     * @param {*} cb - callback is triggered when receiving packets
+     * @param {Object} options - {timeout} replaces both the request and the chunk timeout,
+     * {window} the number of chunk requests in flight
+     *
+     * readWithBuffer will reject error if it'wrong when starting request data
+     * readWithBuffer will return { data: replyData , err: Error, stats } when receiving requested data
+     */
+    async readWithBuffer(reqData, cb = null, options = {}) {
+        this.pendingCommands++;
+        try {
+            return await this.receiveBuffer(reqData, cb, options);
+        } finally {
+            this.pendingCommands--;
+        }
+    }
 
-                            realTotalBuffer = Buffer.concat([realTotalBuffer, totalBuffer.subarray(16, 8 + packetLength)])
-                            totalBuffer = totalBuffer.subarray(8 + packetLength)
+    async receiveBuffer(reqData, cb = null, {timeout, window} = {}) {
+        const startedAt = Date.now();
+        const reply = await this.writeMessage(this.createRequest(COMMANDS.CMD_DATA_WRRQ, reqData), false, timeout || this.timeout);
+        this.lastReplyTimestamp = Date.now();
 
-                            if ((totalPackets > 1 && realTotalBuffer.length === MAX_CHUNK + 8)
-                                || (totalPackets === 1 && realTotalBuffer.length === remain + 8)) {
+        switch (reply.commandId) {
+            case COMMANDS.CMD_DATA: {
+                // Small enough to be sent in the reply itself
+                this.lastTransferStats = transferStats(reply.payload.length, 0, startedAt);
+                return {data: reply.payload, mode: 8, stats: this.lastTransferStats};
+            }
+            case COMMANDS.CMD_ACK_OK:
+            case COMMANDS.CMD_PREPARE_DATA: {
+                // this case show that data is prepared => request it chunk by chunk
+                // the reply includes the size of the prepared data
+                const size = reply.payload.readUIntLE(1, 4);
+                return await this.readChunks(size, cb, timeout || this.chunkTimeout, window || this.chunkWindow);
+            }
+            default: {
+                throw new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(reply.commandId));
+            }
+        }
+    }
 
-                                replyData = Buffer.concat([replyData, realTotalBuffer.subarray(8)])
-                                totalBuffer = Buffer.from([])
-                                realTotalBuffer = Buffer.from([])
+    /**
+     * Read the prepared buffer in MAX_CHUNK sized chunks. At most `window`
+     * CMD_DATA_RDY requests are in flight, the next one is sent as an earlier
+     * chunk completes so slow terminals aren't flooded.
+     * @param {number} size - size announced by the device
+     * @param {Function} cb - (receivedBytes, totalBytes) progress callback
+     * @param {number} timeout - per chunk inactivity timeout
+     * @param {number} window - chunk requests in flight at once
+     * @returns {Promise<{data: Buffer, err: Error|null, stats: Object}>} data holds what was received in order when err is set
+     */
+    async readChunks(size, cb = null, timeout = this.chunkTimeout, window = this.chunkWindow) {
+        const chunks = [];
+        for (let start = 0; start < size; start += MAX_CHUNK) {
+            chunks.push({start, size: Math.min(MAX_CHUNK, size - start)});
+        }
 
-                                totalPackets -= 1
-                                cb && cb(replyData.length, size)
+        const buffers = new Array(chunks.length);
+        const startedAt = Date.now();
+        let received = 0;
+        let completed = 0;
+        let next = 0;
+        let failure = null;
+
+        const requestNext = async () => {
+            while (next < chunks.length && !failure) {
+                const index = next++;
+                try {
+                    buffers[index] = await this.readChunk(chunks[index].start, chunks[index].size, timeout);
+                } catch (err) {
+                    failure = failure || err;
+                    return;
+                }
 
-                                if (totalPackets <= 0) {
-                                    internalCallback(replyData)
-                                }
-                            }
-                        }
-                    }
+                this.lastReplyTimestamp = Date.now();
+                received += chunks[index].size;
+                completed++;
+                cb && cb(received, size);
+            }
+        };
 
-                    this.socket.once('close', () => {
-                        internalCallback(replyData, new Error('Socket is disconnected unexpectedly'))
-                    })
+        const inFlight = Math.min(Math.max(1, window), chunks.length);
+        await Promise.all(Array.from({length: inFlight}, requestNext));
 
-                    this.socket.on('data', handleOnData);
+        this.lastTransferStats = transferStats(received, completed, startedAt);
 
-                    for (let i = 0; i <= numberChunks; i++) {
-                        if (i === numberChunks) {
-                            this.sendChunkRequest(numberChunks * MAX_CHUNK, remain)
-                        } else {
-                            this.sendChunkRequest(i * MAX_CHUNK, MAX_CHUNK)
-                        }
-                    }
+        if (!failure) {
+            return {data: Buffer.concat(buffers), err: null, stats: this.lastTransferStats};
+        }
 
-                    break;
-                }
-                default: {
-                    reject(new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(header.commandId)))
-                }
-            }
-        })
+        // Keep the contiguous part that was received
+        const missing = buffers.findIndex(buffer => !buffer);
+        return {data: Buffer.concat(missing === -1 ? buffers : buffers.slice(0, missing)), err: failure, stats: this.lastTransferStats};
     }
 
     /**
      *  reject error when starting request data
      *  return { data: users, err: Error } when receiving requested data
+     * @param {Object} options - {timeout} for this read
      */
-    async getUsers() {
+    async getUsers(options = {}) {
         try {
             // Free any existing buffer data to prepare for a new request
             if (this.socket) {
@@ -494,16 +589,13 @@ class ZTCP {
             }
 
             // Request user data
-            const data = await this.readWithBuffer(REQUEST_DATA.GET_USERS);
+            const data = await this.readWithBuffer(REQUEST_DATA.GET_USERS, null, options);
 
             // Free buffer data after receiving the data
             if (this.socket) {
                 await this.freeData();
             }
 
-            // Constants for user data processing
-            const USER_PACKET_SIZE = 72;
-
             // Ensure data.data is a valid buffer
             if (!data.data || !(data.data instanceof Buffer)) {
                 throw new Error('Invalid data received');
@@ -512,20 +604,27 @@ class ZTCP {
             let userData = data.data.subarray(4); // Skip the first 4 bytes (headers)
             const users = [];
 
+            // Older firmwares send 28-byte records instead of 72-byte ones, a
+            // partial buffer can't tell them apart
+            const USER_PACKET_SIZE = data.err
+                ? this.userPacketSize || DEFAULT_USER_PACKET_SIZE
+                : await this.getUserPacketSize(userData);
+            const decodeUser = USER_PACKET_SIZE === 28 ? decodeUserData28 : decodeUserData72;
+
             // Process each user packet
             while (userData.length >= USER_PACKET_SIZE) {
                 // Decode user data and add to the users array
-                const user = decodeUserData72(userData.subarray(0, USER_PACKET_SIZE));
+                const user = decodeUser(userData.subarray(0, USER_PACKET_SIZE));
                 users.push(user);
                 userData = userData.subarray(USER_PACKET_SIZE); // Move to the next packet
             }
 
-            // Return the list of users
-            return { data: users };
+            // Return the list of users, with the error of a partial read
+            return { data: users, err: data.err, stats: data.stats };
 
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting users:', err);
+            this.logger.error('Error getting users:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -536,11 +635,12 @@ class ZTCP {
      *
      * @param {*} ip
      * @param {*} callbackInProcess
+     * @param {Object} options - {timeout} for this read
      *  reject error when starting request data
      *  return { data: records, err: Error } when receiving requested data
      */
 
-    async getAttendances(callbackInProcess = () => {}) {
+    async getAttendances(callbackInProcess = () => {}, options = {}) {
         try {
             // Free any existing buffer data to prepare for a new request
             if (this.socket) {
@@ -548,7 +648,7 @@ class ZTCP {
             }
 
             // Request attendance logs and handle chunked data
-            const data = await this.readWithBuffer(REQUEST_DATA.GET_ATTENDANCE_LOGS, callbackInProcess);
+            const data = await this.readWithBuffer(REQUEST_DATA.GET_ATTENDANCE_LOGS, callbackInProcess, options);
 
             // Free buffer data after receiving the attendance logs
             if (this.socket) {
@@ -575,38 +675,167 @@ class ZTCP {
             }
 
             // Return the list of attendance records
-            return { data: records };
+            return { data: records, stats: data.stats };
 
         } catch (err) {
             // Log and re-throw the error
-            console.error('Error getting attendance records:', err);
+            this.logger.error('Error getting attendance records:', err);
             throw err; // Re-throw the error for handling by the caller
         }
     }
 
+    /**
+     * Read the attendance log one chunk per call, decoding the records of each
+     * chunk as it arrives instead of buffering the whole log. Between calls the
+     * connection is free for other commands: when another request went out in
+     * the meantime (it may have replaced the device's data buffer) the log is
+     * prepared again and the read resumes at the same offset.
+     * @param {Object} options - {timeout, onProgress(receivedBytes, totalBytes)}
+     * @returns {{next: Function, close: Function}} next() resolves with the records of the
+     * next chunk, null once the log is read; close() frees the device's buffer
+     */
+    createAttendanceReader({timeout, onProgress} = {}) {
+        const RECORD_PACKET_SIZE = 40;
+
+        let remainder = Buffer.alloc(0);
+        let headerBytes = 4; // the buffer starts with its size
+        let size = null;
+        let inline = null; // payload of a log small enough to come in the reply itself
+        let offset = 0;
+        let chunks = 0;
+        let done = false;
+        let lastRequest = null; // {sessionId, replyId} of the reader's own last request
+        const startedAt = Date.now();
+
+        const decodeChunk = (chunk) => {
+            let data = remainder.length ? Buffer.concat([remainder, chunk]) : chunk;
+
+            if (headerBytes > 0) {
+                const skipped = Math.min(headerBytes, data.length);
+                data = data.subarray(skipped);
+                headerBytes -= skipped;
+            }
+
+            const count = Math.floor(data.length / RECORD_PACKET_SIZE);
+            const records = [];
+            for (let i = 0; i < count; i++) {
+                const record = decodeRecordData40(data.subarray(i * RECORD_PACKET_SIZE, (i + 1) * RECORD_PACKET_SIZE));
+                records.push({...record, ip: this.ip});
+            }
+
+            // Copy the partial record so the chunk itself can be released
+            remainder = Buffer.from(data.subarray(count * RECORD_PACKET_SIZE));
+            return records;
+        };
+
+        const prepare = async () => {
+            await this.freeData();
+
+            const request = this.createRequest(COMMANDS.CMD_DATA_WRRQ, REQUEST_DATA.GET_ATTENDANCE_LOGS);
+            const reply = await this.writeMessage(request, false, timeout || this.timeout);
+            this.lastReplyTimestamp = Date.now();
+
+            switch (reply.commandId) {
+                case COMMANDS.CMD_DATA:
+                    inline = reply.payload;
+                    size = inline.length;
+                    break;
+
+                case COMMANDS.CMD_ACK_OK:
+                case COMMANDS.CMD_PREPARE_DATA:
+                    inline = null;
+                    size = reply.payload.readUIntLE(1, 4);
+                    break;
+
+                default:
+                    throw new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(reply.commandId));
+            }
+
+            // New records are appended, a shorter log was cleared or rewritten
+            if (size < offset) {
+                throw new Error(`Attendance log changed while reading it: ${size} bytes, ${offset} already read`);
+            }
+        };
+
+        const next = async () => {
+            if (done) {
+                return null;
+            }
+
+            this.pendingCommands++;
+            try {
+                const interrupted = !lastRequest || lastRequest.sessionId !== this.sessionId || lastRequest.replyId !== this.replyId;
+                if (interrupted) {
+                    await prepare();
+                }
+
+                let chunk;
+                if (offset >= size) {
+                    chunk = null;
+                } else if (inline) {
+                    chunk = inline.subarray(offset);
+                } else {
+                    chunk = await this.readChunk(offset, Math.min(MAX_CHUNK, size - offset), timeout || this.chunkTimeout);
+                    this.lastReplyTimestamp = Date.now();
+                    chunks++;
+                }
+
+                if (!chunk) {
+                    done = true;
+                    await this.freeData();
+                    this.lastTransferStats = transferStats(offset, chunks, startedAt);
+                    return null;
+                }
+
+                offset += chunk.length;
+                lastRequest = {sessionId: this.sessionId, replyId: this.replyId};
+                onProgress && onProgress(offset, size);
+                return decodeChunk(chunk);
+            } catch (err) {
+                this.logger.error('Error streaming attendance records:', err);
+                throw err;
+            } finally {
+                this.pendingCommands--;
+            }
+        };
+
+        const close = async () => {
+            if (!done && size !== null) {
+                done = true;
+                await this.freeData();
+            }
+        };
+
+        return {next, close};
+    }
+
     async freeData() {
         try {
             return await this.executeCmd(COMMANDS.CMD_FREE_DATA, '');
         } catch (err) {
-            console.error('Error freeing data:', err);
+            this.logger.error('Error freeing data:', err);
             throw err;  // Optionally, re-throw the error if you need to handle it upstream
         }
     }
 
     async disableDevice() {
         try {
-            return await this.executeCmd(COMMANDS.CMD_DISABLEDEVICE, REQUEST_DATA.DISABLE_DEVICE);
+            const reply = await this.executeCmd(COMMANDS.CMD_DISABLEDEVICE, REQUEST_DATA.DISABLE_DEVICE);
+            this.deviceDisabled = true;
+            return reply;
         } catch (err) {
-            console.error('Error disabling device:', err);
+            this.logger.error('Error disabling device:', err);
             throw err;  // Optionally, re-throw the error if you need to handle it upstream
         }
     }
 
     async enableDevice() {
         try {
-            return await this.executeCmd(COMMANDS.CMD_ENABLEDEVICE, '');
+            const reply = await this.executeCmd(COMMANDS.CMD_ENABLEDEVICE, '');
+            this.deviceDisabled = false;
+            return reply;
         } catch (err) {
-            console.error('Error enabling device:', err);
+            this.logger.error('Error enabling device:', err);
             throw err;  // Optionally, re-throw the error if you need to handle it upstream
         }
     }
@@ -617,7 +846,7 @@ class ZTCP {
             await this.executeCmd(COMMANDS.CMD_EXIT, '');
         } catch (err) {
             // Log any errors encountered during command execution
-            console.error('Error during disconnection:', err);
+            this.logger.error('Error during disconnection:', err);
             // Optionally, add more handling or recovery logic here
         }
 
@@ -626,7 +855,7 @@ class ZTCP {
             return await this.closeSocket();
         } catch (err) {
             // Log any errors encountered while closing the socket
-            console.error('Error during socket closure:', err);
+            this.logger.error('Error during socket closure:', err);
             // Optionally, rethrow or handle the error if necessary
             throw err; // Re-throwing to propagate the error
         }
@@ -646,7 +875,7 @@ class ZTCP {
             };
         } catch (err) {
             // Log the error for debugging purposes
-            console.error('Error getting device info:', err);
+            this.logger.error('Error getting device info:', err);
             // Re-throw the error to allow upstream error handling
             throw err;
         }
@@ -669,7 +898,7 @@ class ZTCP {
             return vendor;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting vendor:', err);
+            this.logger.error('Error getting vendor:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -693,7 +922,7 @@ class ZTCP {
 
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting Product Time:', err);
+            this.logger.error('Error getting Product Time:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -715,7 +944,7 @@ class ZTCP {
             return macAddr;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting MAC address:', err);
+            this.logger.error('Error getting MAC address:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -738,7 +967,7 @@ class ZTCP {
             return serialNumber;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting serial number:', err);
+            this.logger.error('Error getting serial number:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -761,7 +990,7 @@ class ZTCP {
             return deviceVersion;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting device version:', err);
+            this.logger.error('Error getting device version:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -784,7 +1013,7 @@ class ZTCP {
             return deviceName;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting device name:', err);
+            this.logger.error('Error getting device name:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -807,7 +1036,7 @@ class ZTCP {
             return platform;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting platform information:', err);
+            this.logger.error('Error getting platform information:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -830,7 +1059,7 @@ class ZTCP {
             return osInfo;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting OS information:', err);
+            this.logger.error('Error getting OS information:', err);
             // Re-throw the error for higher-level handling
             throw err;
         }
@@ -853,7 +1082,7 @@ class ZTCP {
             return workCode;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting WorkCode:', err);
+            this.logger.error('Error getting WorkCode:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -876,7 +1105,7 @@ class ZTCP {
             return pin;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting PIN:', err);
+            this.logger.error('Error getting PIN:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -899,7 +1128,7 @@ class ZTCP {
             return status.includes('0') ? 'No' : 'Yes';
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting face function status:', err);
+            this.logger.error('Error getting face function status:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -922,7 +1151,7 @@ class ZTCP {
             return ssrValue;
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting SSR value:', err);
+            this.logger.error('Error getting SSR value:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -938,7 +1167,7 @@ class ZTCP {
             return data.slice(8).toString('ascii'); // Skip the first 8 bytes (header) and convert to ASCII string
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting firmware version:', err);
+            this.logger.error('Error getting firmware version:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -960,7 +1189,7 @@ class ZTCP {
             return timeParser.decode(timeValue); // Parse and return the decoded time
         } catch (err) {
             // Log the error for debugging
-            console.error('Error getting time:', err);
+            this.logger.error('Error getting time:', err);
 
             // Re-throw the error for the caller to handle
             throw err;
@@ -989,7 +1218,7 @@ class ZTCP {
             return await this.executeCmd(COMMANDS.CMD_SET_TIME, commandString);
         } catch (err) {
             // Log the error for debugging
-            console.error('Error setting time:', err);
+            this.logger.error('Error setting time:', err);
             // Re-throw the error for the caller to handle
             throw err;
         }
@@ -1005,7 +1234,7 @@ class ZTCP {
             return await this.executeCmd(COMMANDS.CMD_TESTVOICE, commandData);
         } catch (err) {
             // Log the error for debugging purposes
-            console.error('Error executing voice test:', err);
+            this.logger.error('Error executing voice test:', err);
 
             // Re-throw the error to be handled by the caller
             throw err;
@@ -1013,43 +1242,6 @@ class ZTCP {
     }
 
 
-    async setUser(uid, userid, name, password, role = 0, cardno = 0) {
-        try {
-            // Validate input parameters
-            if (
-                parseInt(uid) <= 0 || parseInt(uid) > 3000 ||
-                userid.length > 9 ||
-                name.length > 24 ||
-                password.length > 8 ||
-                cardno.toString().length > 10
-            ) {
-                throw new Error('Invalid input parameters');
-            }
-
-            // Allocate and initialize the buffer
-            const commandBuffer = Buffer.alloc(72);
-
-            // Fill the buffer with user data
-            commandBuffer.writeUInt16LE(parseInt(uid), 0);
-            commandBuffer.writeUInt16LE(role, 2);
-            commandBuffer.write(password.padEnd(8, '\0'), 3, 8); // Ensure password is 8 bytes
-            commandBuffer.write(name.padEnd(24, '\0'), 11, 24); // Ensure name is 24 bytes
-            commandBuffer.writeUInt16LE(parseInt(cardno), 35);
-            commandBuffer.writeUInt32LE(0, 40); // Placeholder or reserved field
-            commandBuffer.write(userid.padEnd(9, '\0'), 48, 9); // Ensure userid is 9 bytes
-
-            // Send the command and return the result
-            return await this.executeCmd(COMMANDS.CMD_USER_WRQ, commandBuffer);
-
-        } catch (err) {
-            // Log error details for debugging
-            console.error('Error setting user:', err);
-
-            // Re-throw error for upstream handling
-            throw err;
-        }
-    }
-
     /**
      * Register a user's face on the device
      * @param {string} userId - The user ID to register the face for
@@ -1080,49 +1272,24 @@ class ZTCP {
 
             // Check if the reply indicates success
             if (reply && reply.length >= 8) {
-                console.log('Face registration initiated, waiting for device to process...');
+                this.logger.info('Face registration initiated, waiting for device to process...');
 
                 // Wait longer for the device to complete the face capture process
-                await new Promise(resolve => setTimeout(resolve, 5000));
+                await sleep(5000, this.activeSignal);
 
                 // Send a follow-up command to confirm registration
                 const confirmBuffer = Buffer.alloc(9);
                 confirmBuffer.write(userId.padEnd(9, '\0'), 0, 9);
                 await this.executeCmd(COMMANDS.CMD_REFRESHDATA, confirmBuffer);
 
-                console.log('Face registration process completed');
+                this.logger.info('Face registration process completed');
                 return true;
             } else {
                 throw new Error('Failed to start face enrollment - device did not acknowledge');
             }
         } catch (err) {
             // Log error details for debugging
-            console.error('Error registering face:', err);
-
-            // Re-throw error for upstream handling
-            throw err;
-        }
-    }
-
-    async deleteUser(uid) {
-        try {
-            // Validate input parameter
-            if (parseInt(uid) <= 0 || parseInt(uid) > 3000) {
-                throw new Error('Invalid UID: must be between 1 and 3000');
-            }
-
-            // Allocate and initialize the buffer
-            const commandBuffer = Buffer.alloc(72);
-
-            // Write UID to the buffer
-            commandBuffer.writeUInt16LE(parseInt(uid), 0);
-
-            // Send the delete command and return the result
-            return await this.executeCmd(COMMANDS.CMD_DELETE_USER, commandBuffer);
-
-        } catch (err) {
-            // Log error details for debugging
-            console.error('Error deleting user:', err);
+            this.logger.error('Error registering face:', err);
 
             // Re-throw error for upstream handling
             throw err;
@@ -1140,7 +1307,7 @@ class ZTCP {
 
         } catch (err) {
             // Log error details for debugging
-            console.error('Error getting attendance size:', err);
+            this.logger.error('Error getting attendance size:', err);
 
             // Re-throw the error to be handled by the caller
             throw err;
@@ -1155,7 +1322,7 @@ class ZTCP {
             return await this.executeCmd(COMMANDS.CMD_CLEAR_ATTLOG, '');
         } catch (err) {
             // Log the error for debugging purposes
-            console.error('Error clearing attendance log:', err);
+            this.logger.error('Error clearing attendance log:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
@@ -1168,45 +1335,59 @@ class ZTCP {
             return await this.executeCmd(COMMANDS.CMD_CLEAR_DATA, '');
         } catch (err) {
             // Log the error for debugging purposes
-            console.error('Error clearing data:', err);
+            this.logger.error('Error clearing data:', err);
             // Re-throw the error to be handled by the caller
             throw err;
         }
     }
 
     async getRealTimeLogs(cb = () => {}) {
-        this.replyId++; // Increment the reply ID for this request
-
         try {
             // Create a buffer with the command header to request real-time logs
-            const buf = createTCPHeader(COMMANDS.CMD_REG_EVENT, this.sessionId, this.replyId, Buffer.from([0x01, 0x00, 0x00, 0x00]));
+            const {buf} = this.createRequest(COMMANDS.CMD_REG_EVENT, REQUEST_DATA.GET_REAL_TIME_EVENT);
 
             // Send the request to the device
             this.socket.write(buf, null, (err) => {
                 if (err) {
-                    // Log and reject the promise if there is an error writing to the socket
-                    console.error('Error sending real-time logs request:', err);
-                    throw err;
+                    // Log the error if the request couldn't be written
+                    this.logger.error('Error sending real-time logs request:', err);
                 }
             });
 
-            // Ensure data listeners are added only once
-            if (this.socket.listenerCount('data') === 0) {
-                this.socket.on('data', (data) => {
-                    // Check if the data is an event and not just a regular response
-                    if (checkNotEventTCP(data)) {
-                        // Process the data if it is of the expected length
-                        if (data.length > 16) {
-                            // Decode and pass the log to the callback
-                            cb(decodeRecordRealTimeLog52(data));
-                        }
-                    }
-                });
+            // Replace the previous subscriber so re-registering doesn't duplicate logs
+            if (this.realTimeListener) {
+                this.eventChannel.removeListener('event', this.realTimeListener);
             }
 
+            this.realTimeListener = (packet) => {
+                // For events the session id field carries the event type
+                if (packet.sessionId === COMMANDS.EF_ATTLOG && packet.raw.length > 16) {
+                    // Decode and pass the log to the callback
+                    cb(decodeRecordRealTimeLog52(packet.raw));
+                }
+            };
+            this.eventChannel.on('event', this.realTimeListener);
+
         } catch (err) {
             // Handle errors and reject the promise
-            console.error('Error getting real-time logs:', err);
+            this.logger.error('Error getting real-time logs:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Ask the device to stop pushing events (CMD_REG_EVENT without flags)
+     */
+    async stopRealTimeLogs() {
+        try {
+            if (this.realTimeListener) {
+                this.eventChannel.removeListener('event', this.realTimeListener);
+                this.realTimeListener = null;
+            }
+
+            return await this.executeCmd(COMMANDS.CMD_REG_EVENT, REQUEST_DATA.STOP_REAL_TIME_EVENT);
+        } catch (err) {
+            this.logger.error('Error stopping real-time logs:', err);
             throw err;
         }
     }
@@ -1220,13 +1401,14 @@ class ZTCP {
             return {
                 connected: this.socket && this.socket.readyState === 'open',
                 sessionId: this.sessionId || null,
-                lastActivity: this.authTimestamp ? new Date(this.authTimestamp).toISOString() : null,
+                lastActivity: this.lastReplyTimestamp ? new Date(this.lastReplyTimestamp).toISOString() : null,
+                missedBeats: this.missedBeats,
                 deviceIP: this.ip,
                 devicePort: this.port,
                 responseData: data
             };
         } catch (err) {
-            console.error('Error getting socket status:', err);
+            this.logger.error('Error getting socket status:', err);
             throw err;
         }
     }
@@ -1245,35 +1427,94 @@ class ZTCP {
                 message: response ? 'Device restart initiated successfully' : 'Failed to restart device'
             };
         } catch (err) {
-            console.error('Error restarting device:', err);
+            this.logger.error('Error restarting device:', err);
             throw err;
         }
     }
 
 
 
+    /**
+     * Probe the device with a cheap CMD_GET_TIME and check that it still answers
+     * for the current session
+     * @returns {Promise<boolean>}
+     */
     async validateSession() {
         try {
-            // Check if session exists and is not expired
-            if (!this.sessionId || !this.authTimestamp) {
+            // No authenticated session to validate
+            if (!this.socket || !this.sessionId || !this.authTimestamp) {
                 return false;
             }
 
-            // Check if session is expired (30 minutes)
-            const SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes in milliseconds
-            if (Date.now() - this.authTimestamp > SESSION_TIMEOUT) {
-                return false;
-            }
-
-            // Verify session is still valid with the device
-            const reply = await this.executeCmd(COMMANDS.CMD_ACK_OK, '');
-            return reply && reply.length >= 6 && reply.readUInt16LE(4) === this.sessionId;
+            const reply = await this.executeCmd(COMMANDS.CMD_GET_TIME, '');
+            return !!reply && reply.length >= 8
+                && reply.readUInt16LE(0) === COMMANDS.CMD_ACK_OK
+                && reply.readUInt16LE(4) === this.sessionId;
         } catch (err) {
-            console.error('Session validation failed:', err);
+            this.logger.error('Session validation failed:', err);
             return false;
         }
     }
 
+    /**
+     * Periodically validate the session so connections silently dropped by NAT
+     * or firewalls are noticed before the next command hangs. The socket is
+     * destroyed after `maxMissed` failed beats, which fires the close callback.
+     * @param {Object} options
+     * @param {number} [options.interval=30000] - time between beats in ms
+     * @param {number} [options.maxMissed=3] - failed beats before the connection is declared dead
+     * @param {Function} [options.onMissed] - (missedBeats) a beat got no valid reply
+     * @param {Function} [options.onDead] - the connection was declared dead
+     */
+    startHeartbeat({interval = 30000, maxMissed = 3, onMissed, onDead} = {}) {
+        this.stopHeartbeat();
+        this.missedBeats = 0;
+
+        let beating = false;
+        this.heartbeat = setInterval(async () => {
+            // Skip while a beat or another command is in flight, their replies would interleave
+            if (beating || this.pendingCommands > 0 || (this.queue && this.queue.running) || !this.socket) {
+                return;
+            }
+
+            // Recent replies already prove the connection is alive
+            if (this.lastReplyTimestamp && Date.now() - this.lastReplyTimestamp < interval) {
+                this.missedBeats = 0;
+                return;
+            }
+
+            beating = true;
+            const alive = this.queue
+                ? await this.queue.push(() => this.validateSession(), PRIORITY.LOW)
+                : await this.validateSession();
+            beating = false;
+
+            if (alive) {
+                this.missedBeats = 0;
+                return;
+            }
+
+            this.missedBeats++;
+            if (typeof onMissed === 'function') onMissed(this.missedBeats);
+
+            if (this.missedBeats >= maxMissed) {
+                this.stopHeartbeat();
+                if (typeof onDead === 'function') onDead();
+                this.socket && this.socket.destroy();
+            }
+        }, interval);
+
+        // The heartbeat alone shouldn't keep the process alive
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
     /**
      * Delete a fingerprint template for a specific user and finger index
      * @param {string} userId - User ID
@@ -1300,7 +1541,7 @@ class ZTCP {
 
             return reply && reply.length >= 6;
         } catch (err) {
-            console.error('Error deleting fingerprint template:', err);
+            this.logger.error('Error deleting fingerprint template:', err);
             throw err;
         }
     }
@@ -1330,7 +1571,7 @@ class ZTCP {
 
             return reply && reply.length >= 6;
         } catch (err) {
-            console.error('Error deleting all fingerprint templates:', err);
+            this.logger.error('Error deleting all fingerprint templates:', err);
             throw err;
         }
     }
@@ -1383,7 +1624,7 @@ class ZTCP {
 
             return templateData;
         } catch (err) {
-            console.error('Error getting fingerprint template:', err);
+            this.logger.error('Error getting fingerprint template:', err);
             throw err;
         }
     }
@@ -1449,23 +1690,24 @@ class ZTCP {
                 await this.enableDevice();
             }
         } catch (err) {
-            console.error('Error uploading fingerprint template:', err);
+            this.logger.error('Error uploading fingerprint template:', err);
             throw err;
         }
     }
 
     /**
      * Read all fingerprint templates from the device
+     * @param {Object} options - {timeout} for the read
      * @returns {Promise<Array>} - Returns array of template entries
      */
-    async readAllTemplates() {
+    async readAllTemplates(options = {}) {
         try {
             // Disable device before reading
             await this.disableDevice();
 
             try {
                 // Send command to read all templates
-                const reply = await this.executeCmd(COMMANDS.CMD_DATA_WRRQ, Buffer.from([0x01, 0x07, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+                const reply = await this.executeCmd(COMMANDS.CMD_DATA_WRRQ, Buffer.from([0x01, 0x07, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]), options);
 
                 if (!reply || reply.length < 8) {
                     throw new Error('Failed to read templates');
@@ -1508,16 +1750,17 @@ class ZTCP {
                 await this.enableDevice();
             }
         } catch (err) {
-            console.error('Error reading all templates:', err);
+            this.logger.error('Error reading all templates:', err);
             throw err;
         }
     }
 
     /**
      * Capture an image from the device
+     * @param {Object} options - {timeout} for the capture and each transferred chunk
      * @returns {Promise<Buffer>} - Returns the captured image data
      */
-    async captureImage() {
+    async captureImage(options = {}) {
         try {
             // Disable device before capture
             await this.disableDevice();
@@ -1527,7 +1770,7 @@ class ZTCP {
                 await this.freeData();
 
                 // Send capture command
-                const captureReply = await this.executeCmd(COMMANDS.CMD_CAPTUREIMAGE, '');
+                const captureReply = await this.executeCmd(COMMANDS.CMD_CAPTUREIMAGE, '', options);
                 if (!captureReply || captureReply.length < 8) {
                     throw new Error('Failed to initiate image capture');
                 }
@@ -1544,7 +1787,7 @@ class ZTCP {
                 prepData.writeUInt32LE(0, 4); // Reserved bytes
 
                 // Send prepare data command
-                await this.executeCmd(COMMANDS.CMD_PREPARE_DATA, prepData);
+                await this.executeCmd(COMMANDS.CMD_PREPARE_DATA, prepData, options);
 
                 // Receive the image data in chunks
                 const MAX_CHUNK_SIZE = 1024;
@@ -1553,7 +1796,7 @@ class ZTCP {
 
                 while (remainingSize > 0) {
                     const chunkSize = Math.min(MAX_CHUNK_SIZE, remainingSize);
-                    const chunk = await this.executeCmd(COMMANDS.CMD_DATA, '');
+                    const chunk = await this.executeCmd(COMMANDS.CMD_DATA, '', options);
                     if (chunk && chunk.length > 0) {
                         imageData = Buffer.concat([imageData, chunk]);
                         remainingSize -= chunk.length;
@@ -1571,7 +1814,7 @@ class ZTCP {
                 await this.enableDevice();
             }
         } catch (err) {
-            console.error('Error capturing image:', err);
+            this.logger.error('Error capturing image:', err);
             throw err;
         }
     }
@@ -7,44 +7,75 @@ const dgram = require('dgram')
 const {
     createUDPHeader,
     decodeUserData28,
+    decodeUserData72,
     decodeRecordData16,
     decodeRecordRealTimeLog18,
     decodeUDPHeader,
     exportErrorMessage,
-    checkNotEventUDP
+    checkNotEventUDP,
+    makeCommKey,
+    sleep,
+    transferStats
 } = require('./helper/utils')
 
-const {MAX_CHUNK, REQUEST_DATA, COMMANDS} = require('./helper/command')
+const {MAX_CHUNK_UDP, USHRT_MAX, DEFAULT_USER_PACKET_SIZE, REQUEST_DATA, COMMANDS} = require('./helper/command')
 
 const { log } = require('./logs/log')
+const { AbortError } = require('./exceptions/handler')
+const {DeviceControl} = require('./helper/control')
 const timeParser = require("./helper/time");
 
-class ZUDP {
-    constructor(ip, port, timeout, inport) {
+class ZUDP extends DeviceControl {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.logger=console] - receives info, warn and error calls
+     * @param {number} [options.connectTimeout=2000] - wait for the CMD_CONNECT/CMD_EXIT reply
+     * @param {number} [options.chunkTimeout=3000] - wait for one chunk of a bulk read before re-requesting it
+     * @param {number} [options.chunkWindow=4] - chunk requests of a bulk read in flight at once
+     * @param {number} [options.userPacketSize] - 28 or 72, detected from the device when omitted
+     */
+    constructor(ip, port, timeout, inport, commKey = 0, {logger = console, connectTimeout = 2000, chunkTimeout = 3000, chunkWindow = 4, userPacketSize = null} = {}) {
+        super()
         this.ip = ip
         this.port = port
         this.timeout = timeout
+        this.commKey = commKey
+        this.logger = logger
+        this.connectTimeout = connectTimeout
+        this.chunkTimeout = chunkTimeout
+        this.chunkWindow = chunkWindow
+        this.lastTransferStats = null
+        this.userPacketSize = userPacketSize
+        this.userPacketSizeGuessed = false
         this.socket = null
         this.sessionId = null
         this.replyId = 0
         this.inport = inport
+
+        // Signal of the operation running under withAbort, new requests fail once it aborts
+        this.activeSignal = null
+        // Set between CMD_DISABLEDEVICE and CMD_ENABLEDEVICE so an abort can re-enable the device
+        this.deviceDisabled = false
+        this.realTimeListener = null
     }
 
 
     createSocket(cbError = null, cbClose = null) {
         return new Promise((resolve, reject) => {
-            this.socket = dgram.createSocket('udp4');
+            const socket = dgram.createSocket('udp4');
+            this.socket = socket;
             this.socket.setMaxListeners(Infinity); // Allow unlimited listeners
 
             // Handle socket errors
             this.socket.once('error', err => {
-                this.socket = null; // Clean up the socket reference
+                if (this.socket === socket) this.socket = null; // Clean up the socket reference
                 reject(err); // Reject the promise
                 if (cbError) cbError(err); // Call the error callback if provided
             });
 
-            // Handle socket close event
+            // Handle socket close event, unless the socket has already been replaced by a new one
             this.socket.once('close', () => {
+                if (this.socket && this.socket !== socket) return;
                 this.socket = null; // Clean up the socket reference
                 if (cbClose) cbClose('udp'); // Call the close callback if provided
             });
@@ -70,18 +101,42 @@ class ZUDP {
         try {
             const reply = await this.executeCmd(COMMANDS.CMD_CONNECT, '');
 
-            if (reply) {
-                return true; // Resolve with true if the reply is valid
-            } else {
+            if (!reply) {
                 throw new Error('NO_REPLY_ON_CMD_CONNECT'); // Throw an error if no reply
             }
+
+            // Devices protected by a comm key answer CMD_CONNECT with an auth challenge
+            if (reply.readUInt16LE(0) === COMMANDS.CMD_ACK_UNAUTH) {
+                await this.authenticate();
+            }
+
+            this.authTimestamp = Date.now();
+            return true; // Resolve with true if the reply is valid
         } catch (err) {
             // Log the error for debugging purposes
-            console.error('Error in connect method:', err);
+            this.logger.error('Error in connect method:', err);
             throw err; // Re-throw the error to be handled by the caller
         }
     }
 
+    /**
+     * Answer the CMD_ACK_UNAUTH challenge with the comm key scrambled by the session id
+     * @returns {Promise<boolean>}
+     */
+    async authenticate() {
+        const reply = await this.executeCmd(COMMANDS.CMD_AUTH, makeCommKey(this.commKey, this.sessionId));
+
+        if (!reply) {
+            throw new Error('NO_REPLY_ON_CMD_AUTH');
+        }
+
+        if (reply.readUInt16LE(0) !== COMMANDS.CMD_ACK_OK) {
+            throw new Error('UNAUTHORIZED: the device rejected the comm key');
+        }
+
+        return true;
+    }
+
 
     closeSocket() {
         return new Promise((resolve, reject) => {
@@ -97,7 +152,7 @@ class ZUDP {
             // Create a timeout to handle cases where the socket might not close in a timely manner
             const timeout = 2000; // Timeout duration in milliseconds
             const timer = setTimeout(() => {
-                console.warn('Socket close timeout');
+                this.logger.warn('Socket close timeout');
                 resolve(true);
             }, timeout);
 
@@ -108,7 +163,7 @@ class ZUDP {
 
                 // Handle any potential errors during the closing process
                 if (err) {
-                    console.error('Error closing socket:', err);
+                    this.logger.error('Error closing socket:', err);
                     reject(err);
                 } else {
                     resolve(true);
@@ -121,43 +176,131 @@ class ZUDP {
     }
 
 
-    writeMessage(msg, connect) {
+    /**
+     * Run an operation that can be cancelled with `signal`. Aborting stops the
+     * exchange in flight and every later one, then the device is brought back
+     * to idle with `cleanupCommands` (e.g. CMD_FREE_DATA) and re-enabled if the
+     * operation had disabled it.
+     * @param {AbortSignal} signal
+     * @param {Function} operation - async function talking to the device
+     * @param {Array<number>} cleanupCommands - commands sent after an abort
+     * @returns {Promise<*>} result of the operation, rejects with AbortError when aborted
+     */
+    async withAbort(signal, operation, cleanupCommands = []) {
+        if (!signal) {
+            return await operation();
+        }
+
+        if (signal.aborted) {
+            throw new AbortError();
+        }
+
+        this.activeSignal = signal;
+
+        try {
+            const result = await operation();
+            if (!signal.aborted) {
+                return result;
+            }
+        } catch (err) {
+            if (!signal.aborted) {
+                throw err;
+            }
+        } finally {
+            this.activeSignal = null;
+        }
+
+        await this.recoverFromAbort(cleanupCommands);
+        throw new AbortError();
+    }
+
+    async recoverFromAbort(cleanupCommands) {
+        for (const command of cleanupCommands) {
+            if (!this.socket) return;
+            try {
+                await this.executeCmd(command, Buffer.alloc(0));
+            } catch (err) {
+                this.logger.error(`Error sending ${exportErrorMessage(command)} after abort:`, err);
+            }
+        }
+
+        if (this.deviceDisabled && this.socket) {
+            try {
+                await this.enableDevice();
+            } catch (err) {
+                this.logger.error('Error re-enabling the device after abort:', err);
+            }
+        }
+    }
+
+    /**
+     * Call `abort` when the operation running under withAbort is aborted
+     * @returns {Function} removes the handler again
+     */
+    onAbort(abort) {
+        const signal = this.activeSignal;
+        if (!signal) {
+            return () => {};
+        }
+
+        signal.addEventListener('abort', abort, {once: true});
+        return () => signal.removeEventListener('abort', abort);
+    }
+
+    writeMessage(msg, connect, timeout = this.timeout) {
         return new Promise((resolve, reject) => {
             let sendTimeoutId;
 
+            if (this.activeSignal && this.activeSignal.aborted) {
+                return reject(new AbortError());
+            }
+
             // Setup a listener for the response message
             const onMessage = (data) => {
                 clearTimeout(sendTimeoutId); // Clear timeout if message is received
+                stopOnAbort();
                 this.socket.removeListener('message', onMessage); // Remove the listener
                 resolve(data); // Resolve the promise with the received data
             };
 
+            const stopOnAbort = this.onAbort(() => {
+                clearTimeout(sendTimeoutId);
+                this.socket && this.socket.removeListener('message', onMessage);
+                reject(new AbortError());
+            });
+
             this.socket.once('message', onMessage); // Use once to ensure single response
 
             // Send the message
             this.socket.send(msg, 0, msg.length, this.port, this.ip, (err) => {
                 if (err) {
+                    stopOnAbort();
                     this.socket.removeListener('message', onMessage); // Clean up listener on error
                     reject(err); // Reject the promise with the error
                     return; // Exit early to avoid setting timeout on error
                 }
 
                 // Setup a timeout if a timeout duration is specified
-                if (this.timeout) {
+                if (timeout) {
                     sendTimeoutId = setTimeout(() => {
+                        stopOnAbort();
                         this.socket.removeListener('message', onMessage); // Clean up listener on timeout
                         reject(new Error('TIMEOUT_ON_WRITING_MESSAGE')); // Reject the promise on timeout
-                    }, connect ? 2000 : this.timeout);
+                    }, connect ? this.connectTimeout : timeout);
                 }
             });
         });
     }
 
-    requestData(msg) {
+    requestData(msg, timeout = this.timeout) {
         return new Promise((resolve, reject) => {
             let sendTimeoutId;
             let responseTimeoutId;
 
+            if (this.activeSignal && this.activeSignal.aborted) {
+                return reject(new AbortError());
+            }
+
             // Define the callback to handle incoming data
             const handleOnData = (data) => {
                 if (checkNotEventUDP(data)) return; // Filter out unwanted data
@@ -165,6 +308,7 @@ class ZUDP {
                 // Clear any existing timeouts
                 clearTimeout(sendTimeoutId);
                 clearTimeout(responseTimeoutId);
+                stopOnAbort();
 
                 // Remove the event listener for 'message'
                 this.socket.removeListener('message', handleOnData);
@@ -175,30 +319,40 @@ class ZUDP {
 
             // Define the timeout callback for handling the receive timeout
             const onReceiveTimeout = () => {
+                stopOnAbort();
                 this.socket.removeListener('message', handleOnData);
                 reject(new Error('TIMEOUT_ON_RECEIVING_REQUEST_DATA'));
             };
 
+            const stopOnAbort = this.onAbort(() => {
+                clearTimeout(sendTimeoutId);
+                clearTimeout(responseTimeoutId);
+                this.socket && this.socket.removeListener('message', handleOnData);
+                reject(new AbortError());
+            });
+
             // Attach the data event listener
             this.socket.on('message', handleOnData);
 
             // Send the message
             this.socket.send(msg, 0, msg.length, this.port, this.ip, (err) => {
                 if (err) {
+                    stopOnAbort();
                     this.socket.removeListener('message', handleOnData); // Clean up listener on error
                     reject(err);
                     return;
                 }
 
                 // Set up the timeout for receiving a response
-                responseTimeoutId = setTimeout(onReceiveTimeout, this.timeout);
+                responseTimeoutId = setTimeout(onReceiveTimeout, timeout);
             });
 
             // Set up the timeout for sending the message
             sendTimeoutId = setTimeout(() => {
+                stopOnAbort();
                 this.socket.removeListener('message', handleOnData);
                 reject(new Error('TIMEOUT_IN_RECEIVING_RESPONSE_AFTER_REQUESTING_DATA'));
-            }, this.timeout);
+            }, timeout);
         });
     }
 
@@ -207,23 +361,24 @@ class ZUDP {
      *
      * @param {*} command
      * @param {*} data
+     * @param {Object} options - {timeout} overrides the instance timeout
      *
      *
      * reject error when command fail and resolve data when success
      */
-    async executeCmd(command, data) {
+    async executeCmd(command, data, {timeout = this.timeout} = {}) {
         try {
             // Handle command-specific logic
             if (command === COMMANDS.CMD_CONNECT) {
                 this.sessionId = 0;
                 this.replyId = 0;
             } else {
-                this.replyId++;
+                this.replyId = (this.replyId + 1) % USHRT_MAX;
             }
 
             // Create and send the UDP packet
             const buf = createUDPHeader(command, this.sessionId, this.replyId, data);
-            const reply = await this.writeMessage(buf, command === COMMANDS.CMD_CONNECT || command === COMMANDS.CMD_EXIT);
+            const reply = await this.writeMessage(buf, command === COMMANDS.CMD_CONNECT || command === COMMANDS.CMD_EXIT, timeout);
 
             // Process the reply if necessary
             if (reply && reply.length > 0) { // Check if reply is not empty
@@ -237,38 +392,39 @@ class ZUDP {
 
         } catch (err) {
             // Handle errors by logging or throwing them
-            console.error(`Error executing command ${command}:`, err);
+            this.logger.error(`Error executing command ${command}:`, err);
             throw err;
         }
     }
 
 
-    async sendChunkRequest(start, size) {
-        this.replyId++;
+    /**
+     * Ask for one chunk of the prepared buffer
+     * @returns {{replyId: number, sent: Promise<void>}} replyId is the id the device
+     * answers the chunk with, known before the datagram leaves so no reply is missed
+     */
+    sendChunkRequest(start, size) {
+        this.replyId = (this.replyId + 1) % USHRT_MAX;
         const reqData = Buffer.alloc(8);
         reqData.writeUInt32LE(start, 0);
         reqData.writeUInt32LE(size, 4);
         const buf = createUDPHeader(COMMANDS.CMD_DATA_RDY, this.sessionId, this.replyId, reqData);
 
-        try {
-            await new Promise((resolve, reject) => {
-                // Send the buffer over UDP
-                this.socket.send(buf, 0, buf.length, this.port, this.ip, (err) => {
-                    if (err) {
-                        // Log the error and reject the promise
-                        log(`[UDP][SEND_CHUNK_REQUEST] Error sending chunk request: ${err.message}`);
-                        reject(err);
-                    } else {
-                        // Resolve the promise if sending was successful
-                        resolve();
-                    }
-                });
+        const sent = new Promise((resolve, reject) => {
+            // Send the buffer over UDP
+            this.socket.send(buf, 0, buf.length, this.port, this.ip, (err) => {
+                if (err) {
+                    // Log the error and reject the promise
+                    log(`[UDP][SEND_CHUNK_REQUEST] Error sending chunk request: ${err.message}`);
+                    reject(err);
+                } else {
+                    // Resolve the promise if sending was successful
+                    resolve();
+                }
             });
-        } catch (error) {
-            // Log any exceptions that occur during the send operation
-            log(`[UDP][SEND_CHUNK_REQUEST] Exception: ${error.message}`);
-            throw error; // Re-throw the error if it needs to be handled further up
-        }
+        });
+
+        return {replyId: decodeUDPHeader(buf).replyId, sent};
     }
 
 
@@ -276,25 +432,29 @@ class ZUDP {
      *
      * @param {*} reqData - indicate the type of data that need to receive ( user or attLog)
      * @param {*} cb - callback is triggered when receiving packets
+     * @param {Object} options - {timeout} replaces both the request and the chunk timeout,
+     * {window} the number of chunk requests in flight
      *
      * readWithBuffer will reject error if it'wrong when starting request data
-     * readWithBuffer will return { data: replyData , err: Error } when receiving requested data
+     * readWithBuffer will return { data: replyData , err: Error, stats } when receiving requested data
      */
-    async readWithBuffer(reqData, cb = null) {
-        this.replyId++;
+    async readWithBuffer(reqData, cb = null, {timeout, window} = {}) {
+        const startedAt = Date.now();
+        this.replyId = (this.replyId + 1) % USHRT_MAX;
         const buf = createUDPHeader(COMMANDS.CMD_DATA_WRRQ, this.sessionId, this.replyId, reqData);
 
         try {
-            const reply = await this.requestData(buf);
+            const reply = await this.requestData(buf, timeout || this.timeout);
             const header = decodeUDPHeader(reply.subarray(0, 8));
 
             switch (header.commandId) {
                 case COMMANDS.CMD_DATA:
-                    return { data: reply.subarray(8), mode: 8, err: null };
+                    this.lastTransferStats = transferStats(reply.length - 8, 0, startedAt);
+                    return { data: reply.subarray(8), mode: 8, err: null, stats: this.lastTransferStats };
 
                 case COMMANDS.CMD_ACK_OK:
                 case COMMANDS.CMD_PREPARE_DATA:
-                    return await this.handleChunkedData(reply, header.commandId, cb);
+                    return await this.handleChunkedData(reply, header.commandId, cb, timeout || this.chunkTimeout, window || this.chunkWindow);
 
                 default:
                     throw new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(header.commandId));
@@ -304,67 +464,140 @@ class ZUDP {
         }
     }
 
-    async handleChunkedData(reply, commandId, cb) {
-        const recvData = reply.subarray(8);
-        const size = recvData.readUIntLE(1, 4);
-        let totalBuffer = Buffer.from([]);
-        const timeout = 3000;
-
-        let timer = setTimeout(() => {
-            this.socket.removeListener('message', handleOnData);
-            throw new Error('TIMEOUT WHEN RECEIVING PACKET');
-        }, timeout);
-
-        const internalCallback = (replyData, err = null) => {
-            this.socket.removeListener('message', handleOnData);
-            clearTimeout(timer);
-            if (err) {
-                return { err, data: replyData };
+    /**
+     * Download the prepared buffer chunk by chunk. UDP datagrams get lost, so
+     * every chunk is tracked on its own and re-requested when it doesn't
+     * complete within the per-chunk timeout or its ACK arrives with bytes missing.
+     * At most `window` chunks are requested at once, the next one is asked for
+     * as an earlier chunk completes.
+     * Resolves with { data, err, stats }; the download is only complete when the byte
+     * count matches the size announced in CMD_PREPARE_DATA.
+     */
+    handleChunkedData(reply, commandId, cb, timeout = this.chunkTimeout, window = this.chunkWindow) {
+        return new Promise((resolve) => {
+            const startedAt = Date.now();
+            const recvData = reply.subarray(8);
+            const size = recvData.readUIntLE(1, 4);
+            const maxRetries = 3;
+
+            // Byte ranges still to receive, keyed by the replyId of their request
+            const ranges = [];
+            for (let start = 0; start < size; start += MAX_CHUNK_UDP) {
+                ranges.push({start, size: Math.min(MAX_CHUNK_UDP, size - start), parts: [], received: 0, attempts: 0, done: false, timer: null});
             }
-            return { err: null, data: replyData };
-        };
+            const pending = new Map();
+            let completed = 0;
+            let receivedBytes = 0;
+            let requested = 0;
+            let finished = false;
+
+            const finish = (err = null) => {
+                if (finished) return;
+                finished = true;
+
+                stopOnAbort();
+                this.socket && this.socket.removeListener('message', handleOnData);
+                ranges.forEach(range => clearTimeout(range.timer));
+
+                // Keep the contiguous part that was received
+                const firstMissing = ranges.findIndex(range => !range.done);
+                const data = Buffer.concat((firstMissing === -1 ? ranges : ranges.slice(0, firstMissing))
+                    .map(range => Buffer.concat(range.parts, range.received)));
+
+                if (!err && data.length !== size) {
+                    err = new Error(`INCOMPLETE DATA: RECEIVED ${data.length} OF ${size} BYTES`);
+                }
 
-        const handleOnData = (reply) => {
-            if (checkNotEventUDP(reply)) return;
+                this.lastTransferStats = transferStats(receivedBytes, completed, startedAt);
+                resolve({data, err, stats: this.lastTransferStats});
+            };
 
-            clearTimeout(timer);
-            timer = setTimeout(() => {
-                internalCallback(totalBuffer, new Error(`TIMEOUT !! ${(size - totalBuffer.length) / size} % REMAIN !`));
-            }, timeout);
+            const request = (range) => {
+                if (range.attempts > maxRetries) {
+                    return finish(new Error(`TIMEOUT WHEN RECEIVING PACKET: ${range.size} BYTES MISSING AT OFFSET ${range.start}`));
+                }
 
-            const header = decodeUDPHeader(reply);
-            switch (header.commandId) {
-                case COMMANDS.CMD_PREPARE_DATA:
-                    break;
+                range.attempts++;
+                range.parts = [];
+                range.received = 0;
+                pending.delete(range.replyId);
 
-                case COMMANDS.CMD_DATA:
-                    totalBuffer = Buffer.concat([totalBuffer, reply.subarray(8)]);
-                    cb && cb(totalBuffer.length, size);
-                    break;
+                clearTimeout(range.timer);
+                range.timer = setTimeout(() => request(range), timeout);
 
-                case COMMANDS.CMD_ACK_OK:
-                    if (totalBuffer.length === size) {
-                        internalCallback(totalBuffer);
-                    }
-                    break;
+                if (!this.socket) {
+                    return finish(new Error('Socket is disconnected unexpectedly'));
+                }
 
-                default:
-                    internalCallback([], new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(header.commandId)));
+                const {replyId, sent} = this.sendChunkRequest(range.start, range.size);
+                range.replyId = replyId;
+                pending.set(replyId, range);
+                sent.catch(err => finish(err));
+            };
+
+            const handleOnData = (reply) => {
+                if (checkNotEventUDP(reply)) return;
+
+                const header = decodeUDPHeader(reply);
+                const range = pending.get(header.replyId);
+
+                // Late answer to a chunk that was re-requested or already complete
+                if (!range) return;
+
+                switch (header.commandId) {
+                    case COMMANDS.CMD_PREPARE_DATA:
+                        break;
+
+                    case COMMANDS.CMD_DATA:
+                        range.parts.push(reply.subarray(8));
+                        range.received += reply.length - 8;
+                        break;
+
+                    case COMMANDS.CMD_ACK_OK:
+                        pending.delete(header.replyId);
+
+                        // A datagram of this chunk was lost, ask for the whole chunk again
+                        if (range.received !== range.size) {
+                            request(range);
+                            break;
+                        }
+
+                        clearTimeout(range.timer);
+                        range.done = true;
+                        completed++;
+                        receivedBytes += range.size;
+                        cb && cb(receivedBytes, size);
+
+                        if (completed === ranges.length) {
+                            finish();
+                        } else if (requested < ranges.length) {
+                            // Keep the window full
+                            request(ranges[requested++]);
+                        }
+                        break;
+
+                    default:
+                        finish(new Error('ERROR_IN_UNHANDLE_CMD ' + exportErrorMessage(header.commandId)));
+                }
+            };
+
+            const stopOnAbort = this.onAbort(() => finish(new AbortError()));
+
+            if (ranges.length === 0) {
+                return finish();
             }
-        };
 
-        this.socket.on('message', handleOnData);
+            this.socket.on('message', handleOnData);
 
-        const chunkCount = Math.ceil(size / MAX_CHUNK);
-        for (let i = 0; i < chunkCount; i++) {
-            const start = i * MAX_CHUNK;
-            const chunkSize = (i === chunkCount - 1) ? size % MAX_CHUNK : MAX_CHUNK;
-            this.sendChunkRequest(start, chunkSize);
-        }
+            const inFlight = Math.min(Math.max(1, window), ranges.length);
+            while (requested < inFlight) {
+                request(ranges[requested++]);
+            }
+        });
     }
 
 
-    async getUsers() {
+    async getUsers(options = {}) {
         try {
             // Free Buffer Data to request Data
             if (this.socket) {
@@ -372,25 +605,35 @@ class ZUDP {
             }
 
             // Read user data from the buffer
-            const data = await this.readWithBuffer(REQUEST_DATA.GET_USERS);
+            const data = await this.readWithBuffer(REQUEST_DATA.GET_USERS, null, options);
 
             // Free Buffer Data after requesting data
             if (this.socket) {
                 await this.freeData();
             }
 
-            const USER_PACKET_SIZE = 28;
+            if (!data.data) {
+                return { data: [], err: data.err };
+            }
+
             let userData = data.data.subarray(4);
             const users = [];
 
+            // Older firmwares send 28-byte records instead of 72-byte ones, a
+            // partial buffer can't tell them apart
+            const USER_PACKET_SIZE = data.err
+                ? this.userPacketSize || DEFAULT_USER_PACKET_SIZE
+                : await this.getUserPacketSize(userData);
+            const decodeUser = USER_PACKET_SIZE === 28 ? decodeUserData28 : decodeUserData72;
+
             // Decode user data
             while (userData.length >= USER_PACKET_SIZE) {
-                const user = decodeUserData28(userData.subarray(0, USER_PACKET_SIZE));
+                const user = decodeUser(userData.subarray(0, USER_PACKET_SIZE));
                 users.push(user);
                 userData = userData.subarray(USER_PACKET_SIZE);
             }
 
-            return { data: users, err: data.err };
+            return { data: users, err: data.err, stats: data.stats };
         } catch (err) {
             // Handle any errors that occurred
             return { data: [], err };
@@ -403,10 +646,11 @@ class ZUDP {
      *
      * @param {*} ip
      * @param {*} callbackInProcess
+     * @param {Object} options - {timeout} for this read
      *  reject error when starting request data
      *  return { data: records, err: Error } when receiving requested data
      */
-    async getAttendances(callbackInProcess = () => {}) {
+    async getAttendances(callbackInProcess = () => {}, options = {}) {
         try {
             // Free Buffer Data before requesting new data
             if (this.socket) {
@@ -414,7 +658,7 @@ class ZUDP {
             }
 
             // Read attendance data
-            const data = await this.readWithBuffer(REQUEST_DATA.GET_ATTENDANCE_LOGS, callbackInProcess);
+            const data = await this.readWithBuffer(REQUEST_DATA.GET_ATTENDANCE_LOGS, callbackInProcess, options);
 
             // Free Buffer Data after requesting data
             if (this.socket) {
@@ -432,7 +676,7 @@ class ZUDP {
                 recordData = recordData.subarray(RECORD_PACKET_SIZE);
             }
 
-            return { data: records, err: data.err };
+            return { data: records, err: data.err, stats: data.stats };
         } catch (err) {
             // Handle errors that occurred during the process
             return { data: [], err };
@@ -445,7 +689,7 @@ class ZUDP {
             return await this.executeCmd(COMMANDS.CMD_FREE_DATA, Buffer.alloc(0));
         } catch (err) {
             // Handle errors and rethrow or log if necessary
-            console.error('Error freeing data:', err);
+            this.logger.error('Error freeing data:', err);
             throw err; // Re-throw the error to propagate it
         }
     }
@@ -463,7 +707,7 @@ class ZUDP {
             };
         } catch (err) {
             // Handle and propagate any errors that occur
-            console.error('Error retrieving info:', err);
+            this.logger.error('Error retrieving info:', err);
             throw err; // Re-throw the error to allow it to be handled by the caller
         }
     }
@@ -479,7 +723,7 @@ class ZUDP {
             return timeParser.decode(timeValue);
         } catch (err) {
             // Log and propagate the error
-            console.error('Error retrieving time:', err);
+            this.logger.error('Error retrieving time:', err);
             throw err; // Re-throw the error to be handled by the caller
         }
     }
@@ -500,7 +744,7 @@ class ZUDP {
             return true;
         } catch (err) {
             // Log and propagate the error
-            console.error('Error setting time:', err);
+            this.logger.error('Error setting time:', err);
             throw err; // Re-throw the error to allow it to be handled by the caller
         }
     }
@@ -512,7 +756,7 @@ class ZUDP {
             return await this.executeCmd(COMMANDS.CMD_CLEAR_ATTLOG, Buffer.alloc(0));
         } catch (err) {
             // Log and propagate the error
-            console.error('Error clearing attendance log:', err);
+            this.logger.error('Error clearing attendance log:', err);
             throw err; // Re-throw the error to allow it to be handled by the caller
         }
     }
@@ -523,7 +767,7 @@ class ZUDP {
             return await this.executeCmd(COMMANDS.CMD_CLEAR_DATA, Buffer.alloc(0));
         } catch (err) {
             // Log and propagate the error
-            console.error('Error clearing data:', err);
+            this.logger.error('Error clearing data:', err);
             throw err; // Re-throw the error to allow it to be handled by the caller
         }
     }
@@ -531,10 +775,12 @@ class ZUDP {
     async disableDevice() {
         try {
             // Execute command to disable the device with required data
-            return await this.executeCmd(COMMANDS.CMD_DISABLEDEVICE, REQUEST_DATA.DISABLE_DEVICE);
+            const reply = await this.executeCmd(COMMANDS.CMD_DISABLEDEVICE, REQUEST_DATA.DISABLE_DEVICE);
+            this.deviceDisabled = true;
+            return reply;
         } catch (err) {
             // Log and propagate the error
-            console.error('Error disabling device:', err);
+            this.logger.error('Error disabling device:', err);
             throw err; // Re-throw the error to allow it to be handled by the caller
         }
     }
@@ -542,10 +788,12 @@ class ZUDP {
     async enableDevice() {
         try {
             // Execute command to enable the device
-            return await this.executeCmd(COMMANDS.CMD_ENABLEDEVICE, Buffer.alloc(0));
+            const reply = await this.executeCmd(COMMANDS.CMD_ENABLEDEVICE, Buffer.alloc(0));
+            this.deviceDisabled = false;
+            return reply;
         } catch (err) {
             // Log and propagate the error
-            console.error('Error enabling device:', err);
+            this.logger.error('Error enabling device:', err);
             throw err; // Re-throw the error to allow it to be handled by the caller
         }
     }
@@ -557,7 +805,7 @@ class ZUDP {
             await this.executeCmd(COMMANDS.CMD_EXIT, Buffer.alloc(0));
         } catch (err) {
             // Log the error if the command fails
-            console.error('Error executing disconnect command:', err);
+            this.logger.error('Error executing disconnect command:', err);
             // Optionally, you can handle the error or clean up here
         }
 
@@ -566,7 +814,7 @@ class ZUDP {
             await this.closeSocket();
         } catch (err) {
             // Log the error if closing the socket fails
-            console.error('Error closing the socket:', err);
+            this.logger.error('Error closing the socket:', err);
             // Optionally, you can handle the error or clean up here
         }
     }
@@ -574,7 +822,7 @@ class ZUDP {
 
     async getRealTimeLogs(cb = () => {}) {
         // Increment replyId
-        this.replyId++;
+        this.replyId = (this.replyId + 1) % USHRT_MAX;
 
         // Create the UDP header with the command and data
         const buf = createUDPHeader(COMMANDS.CMD_REG_EVENT, this.sessionId, this.replyId, REQUEST_DATA.GET_REAL_TIME_EVENT);
@@ -583,13 +831,13 @@ class ZUDP {
         try {
             this.socket.send(buf, 0, buf.length, this.port, this.ip, (err) => {
                 if (err) {
-                    console.error('Error sending UDP message:', err);
+                    this.logger.error('Error sending UDP message:', err);
                     return;
                 }
-                console.log('UDP message sent successfully');
+                this.logger.info('UDP message sent successfully');
             });
         } catch (err) {
-            console.error('Error during send operation:', err);
+            this.logger.error('Error during send operation:', err);
             return; // Early return if sending fails
         }
 
@@ -603,46 +851,27 @@ class ZUDP {
         };
 
         if (this.socket.listenerCount('message') === 0) {
+            this.realTimeListener = handleMessage;
             this.socket.on('message', handleMessage);
         } else {
             // Optionally handle the case where multiple listeners are not allowed
-            console.warn('Multiple message listeners detected. Ensure only one listener is attached.');
+            this.logger.warn('Multiple message listeners detected. Ensure only one listener is attached.');
         }
     }
 
-    async setUser(uid, userid, name, password, role = 0, cardno = 0) {
+    /**
+     * Ask the device to stop pushing events (CMD_REG_EVENT without flags)
+     */
+    async stopRealTimeLogs() {
         try {
-            // Validate input parameters
-            if (
-                parseInt(uid) <= 0 || parseInt(uid) > 3000 ||
-                userid.length > 9 ||
-                name.length > 24 ||
-                password.length > 8 ||
-                cardno.toString().length > 10
-            ) {
-                throw new Error('Invalid input parameters');
+            if (this.realTimeListener) {
+                this.socket && this.socket.removeListener('message', this.realTimeListener);
+                this.realTimeListener = null;
             }
 
-            // Allocate and initialize the buffer
-            const commandBuffer = Buffer.alloc(72);
-
-            // Fill the buffer with user data
-            commandBuffer.writeUInt16LE(parseInt(uid), 0);
-            commandBuffer.writeUInt16LE(role, 2);
-            commandBuffer.write(password.padEnd(8, '\0'), 3, 8); // Ensure password is 8 bytes
-            commandBuffer.write(name.padEnd(24, '\0'), 11, 24); // Ensure name is 24 bytes
-            commandBuffer.writeUInt16LE(parseInt(cardno), 35);
-            commandBuffer.writeUInt32LE(0, 40); // Placeholder or reserved field
-            commandBuffer.write(userid.padEnd(9, '\0'), 48, 9); // Ensure userid is 9 bytes
-
-            // Send the command and return the result
-            return await this.executeCmd(COMMANDS.CMD_USER_WRQ, commandBuffer);
-
+            return await this.executeCmd(COMMANDS.CMD_REG_EVENT, REQUEST_DATA.STOP_REAL_TIME_EVENT);
         } catch (err) {
-            // Log error details for debugging
-            console.error('Error setting user:', err);
-
-            // Re-throw error for upstream handling
+            this.logger.error('Error stopping real-time logs:', err);
             throw err;
         }
     }
@@ -673,7 +902,7 @@ class ZUDP {
                 // The device will capture the face data automatically
 
                 // Wait for a short time to allow the device to process
-                await new Promise(resolve => setTimeout(resolve, 5000));
+                await sleep(5000, this.activeSignal);
 
                 // Return success
                 return true;
@@ -682,32 +911,7 @@ class ZUDP {
             }
         } catch (err) {
             // Log error details for debugging
-            console.error('Error registering face:', err);
-
-            // Re-throw error for upstream handling
-            throw err;
-        }
-    }
-
-    async deleteUser(uid) {
-        try {
-            // Validate input parameter
-            if (parseInt(uid) <= 0 || parseInt(uid) > 3000) {
-                throw new Error('Invalid UID: must be between 1 and 3000');
-            }
-
-            // Allocate and initialize the buffer
-            const commandBuffer = Buffer.alloc(72);
-
-            // Write UID to the buffer
-            commandBuffer.writeUInt16LE(parseInt(uid), 0);
-
-            // Send the delete command and return the result
-            return await this.executeCmd(COMMANDS.CMD_DELETE_USER, commandBuffer);
-
-        } catch (err) {
-            // Log error details for debugging
-            console.error('Error deleting user:', err);
+            this.logger.error('Error registering face:', err);
 
             // Re-throw error for upstream handling
             throw err;
@@ -0,0 +1,75 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+
+const ZTCP = require('../src/ztcp')
+const ZUDP = require('../src/zudp')
+const {makeCommKey} = require('../src/helper/utils')
+const {COMMANDS} = require('../src/helper/command')
+
+const quiet = {info() {}, warn() {}, error() {}}
+
+const reply = (commandId) => {
+    const buf = Buffer.alloc(8)
+    buf.writeUInt16LE(commandId, 0)
+    return buf
+}
+
+// Expected payloads computed with pyzk's make_commkey
+test('makeCommKey scrambles the key the way the firmware expects', () => {
+    assert.strictEqual(makeCommKey(0, 0).toString('hex'), '617d3279')
+    assert.strictEqual(makeCommKey(1234, 1).toString('hex'), '41363279')
+    assert.strictEqual(makeCommKey('1234', 1).toString('hex'), '41363279')
+    assert.strictEqual(makeCommKey(123456, 0x4a2b).toString('hex'), '267f32b3')
+    assert.strictEqual(makeCommKey(1, 65535).toString('hex'), '61fd3286')
+})
+
+const transports = {
+    tcp: () => new ZTCP('127.0.0.1', 4370, 1000, 1234, {logger: quiet}),
+    udp: () => new ZUDP('127.0.0.1', 4370, 1000, 5000, 1234, {logger: quiet})
+}
+
+// A transport whose device answers CMD_CONNECT with `connectReply` and CMD_AUTH with `authReply`
+const fakeTransport = (create, {connectReply, authReply}) => {
+    const transport = create()
+    const sent = []
+
+    transport.executeCmd = async (command, data) => {
+        sent.push({command, data})
+        if (command === COMMANDS.CMD_CONNECT) {
+            transport.sessionId = 0x4a2b
+            return reply(connectReply)
+        }
+        return reply(authReply)
+    }
+
+    return {transport, sent}
+}
+
+for (const [name, create] of Object.entries(transports)) {
+    test(`${name}: CMD_ACK_UNAUTH is answered with CMD_AUTH and the scrambled key`, async () => {
+        const {transport, sent} = fakeTransport(create, {connectReply: COMMANDS.CMD_ACK_UNAUTH, authReply: COMMANDS.CMD_ACK_OK})
+
+        assert.strictEqual(await transport.connect(), true)
+        assert.deepStrictEqual(sent.map(({command}) => command), [COMMANDS.CMD_CONNECT, COMMANDS.CMD_AUTH])
+        assert.ok(sent[1].data.equals(makeCommKey(1234, 0x4a2b)))
+    })
+
+    test(`${name}: a rejected comm key fails the connect`, async () => {
+        const {transport} = fakeTransport(create, {connectReply: COMMANDS.CMD_ACK_UNAUTH, authReply: COMMANDS.CMD_ACK_UNAUTH})
+
+        await assert.rejects(transport.connect(), /UNAUTHORIZED/)
+    })
+
+    test(`${name}: no CMD_AUTH is sent when the device doesn't ask for it`, async () => {
+        const {transport, sent} = fakeTransport(create, {connectReply: COMMANDS.CMD_ACK_OK, authReply: COMMANDS.CMD_ACK_OK})
+
+        await transport.connect()
+        assert.deepStrictEqual(sent.map(({command}) => command), [COMMANDS.CMD_CONNECT])
+    })
+}
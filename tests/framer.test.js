@@ -0,0 +1,78 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+
+const {TCPFramer} = require('../src/helper/framer')
+const {createTCPHeader} = require('../src/helper/utils')
+const {COMMANDS} = require('../src/helper/command')
+
+const PACKETS = [
+    createTCPHeader(COMMANDS.CMD_ACK_OK, 7, 1, ''),
+    createTCPHeader(COMMANDS.CMD_DATA, 7, 2, Buffer.alloc(1200, 0xab)),
+    createTCPHeader(COMMANDS.CMD_ACK_OK, 7, 3, Buffer.from([1, 0, 0, 0]))
+]
+const STREAM = Buffer.concat(PACKETS)
+
+// Push `chunks` into a new framer and collect what it emits
+const frame = (chunks) => {
+    const framer = new TCPFramer()
+    const packets = []
+    const invalid = []
+    framer.on('packet', packet => packets.push(packet))
+    framer.on('invalid', (raw, reason) => invalid.push(reason))
+    chunks.forEach(chunk => framer.push(chunk))
+    return {packets, invalid}
+}
+
+const assertAllPackets = (packets) => {
+    assert.deepStrictEqual(packets.map(packet => packet.replyId), [2, 3, 4])
+    assert.deepStrictEqual(packets.map(packet => packet.commandId), [COMMANDS.CMD_ACK_OK, COMMANDS.CMD_DATA, COMMANDS.CMD_ACK_OK])
+    assert.ok(packets[1].payload.equals(Buffer.alloc(1200, 0xab)))
+    packets.forEach((packet, index) => assert.ok(packet.raw.equals(PACKETS[index])))
+}
+
+test('TCPFramer cuts packets coalesced into one chunk', () => {
+    const {packets, invalid} = frame([STREAM])
+
+    assertAllPackets(packets)
+    assert.deepStrictEqual(invalid, [])
+})
+
+test('TCPFramer reassembles packets split over several chunks', () => {
+    // Splits inside the prefix, the header and the payload
+    const cuts = [3, 10, 20, 500, PACKETS[0].length + PACKETS[1].length + 2, STREAM.length]
+    const chunks = cuts.map((end, index) => STREAM.subarray(index ? cuts[index - 1] : 0, end))
+
+    const {packets, invalid} = frame(chunks)
+
+    assertAllPackets(packets)
+    assert.deepStrictEqual(invalid, [])
+})
+
+test('TCPFramer handles a stream delivered one byte at a time', () => {
+    const chunks = [...STREAM].map(byte => Buffer.from([byte]))
+
+    assertAllPackets(frame(chunks).packets)
+})
+
+test('TCPFramer drops garbage and resynchronises on the next prefix', () => {
+    const {packets, invalid} = frame([Buffer.from('garbage'), STREAM])
+
+    assertAllPackets(packets)
+    assert.deepStrictEqual(invalid, ['OUT_OF_SYNC'])
+})
+
+test('TCPFramer drops packets with a bad checksum', () => {
+    const corrupted = Buffer.from(PACKETS[0])
+    corrupted.writeUInt16LE(corrupted.readUInt16LE(10) ^ 0xffff, 10)
+
+    const {packets, invalid} = frame([corrupted, PACKETS[2]])
+
+    assert.deepStrictEqual(packets.map(packet => packet.replyId), [4])
+    assert.deepStrictEqual(invalid, ['CHECKSUM_MISMATCH'])
+})
@@ -0,0 +1,87 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+
+const Zkteco = require('../index')
+const {CommandQueue, PRIORITY} = require('../src/helper/queue')
+const {AbortError} = require('../src/exceptions/handler')
+
+const quiet = {info() {}, warn() {}, error() {}}
+
+// A task that only settles when the test says so
+const deferred = () => {
+    let release
+    const promise = new Promise(resolve => {
+        release = resolve
+    })
+    return {promise, release}
+}
+
+test('CommandQueue runs higher priorities first, same priorities in arrival order', async () => {
+    const queue = new CommandQueue()
+    const order = []
+    const blocker = deferred()
+
+    const running = queue.push(() => blocker.promise)
+    const queued = [
+        queue.push(async () => order.push('low'), PRIORITY.LOW),
+        queue.push(async () => order.push('normal 1'), PRIORITY.NORMAL),
+        queue.push(async () => order.push('high'), PRIORITY.HIGH),
+        queue.push(async () => order.push('normal 2'), PRIORITY.NORMAL)
+    ]
+
+    blocker.release()
+    await Promise.all([running, ...queued])
+
+    assert.deepStrictEqual(order, ['high', 'normal 1', 'normal 2', 'low'])
+})
+
+test('CommandQueue drops an aborted task that is still waiting', async () => {
+    const queue = new CommandQueue()
+    const blocker = deferred()
+    const controller = new AbortController()
+    let ran = false
+
+    const running = queue.push(() => blocker.promise)
+    const aborted = queue.push(async () => {
+        ran = true
+    }, PRIORITY.NORMAL, controller.signal)
+
+    controller.abort()
+    await assert.rejects(aborted, AbortError)
+    assert.strictEqual(queue.size, 0)
+
+    blocker.release()
+    await running
+    assert.strictEqual(ran, false)
+})
+
+test('CommandQueue rejects a task whose signal is already aborted', async () => {
+    const queue = new CommandQueue()
+    const controller = new AbortController()
+    controller.abort()
+
+    await assert.rejects(queue.push(async () => true, PRIORITY.NORMAL, controller.signal), AbortError)
+})
+
+test('isBusy follows the queue and ignores assignments', async () => {
+    const device = new Zkteco({ip: '127.0.0.1', logger: quiet})
+    const blocker = deferred()
+
+    assert.strictEqual(device.isBusy, false)
+
+    const running = device.queue.push(() => blocker.promise)
+    assert.strictEqual(device.isBusy, true)
+
+    device.isBusy = false
+    assert.strictEqual(device.isBusy, true)
+
+    blocker.release()
+    await running
+    assert.strictEqual(device.isBusy, false)
+})
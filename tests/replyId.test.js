@@ -0,0 +1,43 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+
+const ZTCP = require('../src/ztcp')
+const ZUDP = require('../src/zudp')
+const {COMMANDS} = require('../src/helper/command')
+
+const quiet = {info() {}, warn() {}, error() {}}
+
+test('TCP reply ids wrap instead of overflowing the 16-bit field', () => {
+    const ztcp = new ZTCP('127.0.0.1', 4370, 1000, 0, {logger: quiet})
+    ztcp.sessionId = 1
+    ztcp.replyId = 65533
+
+    const replyIds = []
+    for (let i = 0; i < 4; i++) {
+        replyIds.push(ztcp.createRequest(COMMANDS.CMD_GET_TIME, '').replyId)
+    }
+
+    assert.deepStrictEqual(replyIds, [0, 1, 2, 3])
+    assert.ok(ztcp.replyId < 65535)
+})
+
+test('UDP reply ids wrap instead of overflowing the 16-bit field', () => {
+    const zudp = new ZUDP('127.0.0.1', 4370, 1000, 5000, 0, {logger: quiet})
+    zudp.sessionId = 1
+    zudp.replyId = 65533
+    zudp.socket = {send: (buf, offset, length, port, ip, cb) => cb(null)}
+
+    const replyIds = []
+    for (let i = 0; i < 4; i++) {
+        replyIds.push(zudp.sendChunkRequest(0, 1024).replyId)
+    }
+
+    assert.deepStrictEqual(replyIds, [0, 1, 2, 3])
+    assert.ok(zudp.replyId < 65535)
+})
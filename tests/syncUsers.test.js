@@ -0,0 +1,89 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+
+const Zkteco = require('../index')
+
+const quiet = {info() {}, warn() {}, error() {}}
+
+const USERS = [
+    {uid: 1, userId: '100', name: 'Alice', password: '', role: 0, cardno: 0, group: '1', enabled: true},
+    {uid: 2, userId: '200', name: 'Bob', password: '', role: 0, cardno: 0, group: '1', enabled: true}
+]
+
+// A device on TCP whose transport answers with `getUsers` and `userCounts`, writes are recorded
+const fakeDevice = ({getUsers, userCounts}) => {
+    const device = new Zkteco({ip: '127.0.0.1', logger: quiet})
+    const writes = []
+
+    device.connectionType = 'tcp'
+    device.ztcp.socket = {}
+    device.ztcp.getUsers = async () => getUsers()
+    device.ztcp.getInfo = async () => ({userCounts, logCounts: 0, logCapacity: 0})
+    device.ztcp.deleteUser = async (uid) => writes.push({action: 'delete', uid})
+    device.ztcp.setUsers = async (users) => {
+        writes.push({action: 'set', users})
+        return {results: users.map(user => ({uid: user.uid, userId: user.userId, success: true, error: null}))}
+    }
+
+    return {device, writes}
+}
+
+// The roster drops Alice and adds Carol
+const ROSTER = [
+    {userId: '200', name: 'Bob'},
+    {userId: '300', name: 'Carol'}
+]
+
+test('syncUsers writes the plan of a complete read', async () => {
+    const {device, writes} = fakeDevice({getUsers: () => ({data: USERS, err: null}), userCounts: 2})
+
+    const report = await device.syncUsers(ROSTER)
+
+    assert.deepStrictEqual(report.deleted.map(user => user.userId), ['100'])
+    assert.deepStrictEqual(report.added.map(user => [user.userId, user.uid]), [['300', 3]])
+    assert.strictEqual(writes.length, 2)
+})
+
+test('syncUsers aborts without writing when the user read fails', async () => {
+    const failure = new Error('Timed out waiting for chunk 2')
+    const {device, writes} = fakeDevice({getUsers: () => ({data: USERS.slice(0, 1), err: failure}), userCounts: 2})
+
+    await assert.rejects(device.syncUsers(ROSTER), err => err.err === failure && err.command === 'SYNC_USERS')
+    assert.deepStrictEqual(writes, [])
+})
+
+test('syncUsers aborts without writing when fewer users are read than the device holds', async () => {
+    // Bob is missing from the read: his uid would be handed to Carol
+    const {device, writes} = fakeDevice({getUsers: () => ({data: USERS.slice(0, 1), err: null}), userCounts: 2})
+
+    await assert.rejects(device.syncUsers(ROSTER), err => /Read 1 users but the device holds 2/.test(err.err.message))
+    assert.deepStrictEqual(writes, [])
+})
+
+// Alice was enrolled twice, the second record under uid 3
+const DUPLICATED = [...USERS, {...USERS[0], uid: 3}]
+
+test('syncUsers keeps duplicate records and reports them when deleteMissing is off', async () => {
+    const {device, writes} = fakeDevice({getUsers: () => ({data: DUPLICATED, err: null}), userCounts: 3})
+
+    const report = await device.syncUsers(ROSTER, {deleteMissing: false})
+
+    assert.deepStrictEqual(report.conflicts.map(({user}) => user.uid), [3])
+    assert.deepStrictEqual(writes.filter(write => write.action === 'delete'), [])
+})
+
+test('syncUsers deletes duplicate records when deleteMissing is on', async () => {
+    const {device, writes} = fakeDevice({getUsers: () => ({data: DUPLICATED, err: null}), userCounts: 3})
+
+    const report = await device.syncUsers(ROSTER)
+
+    assert.deepStrictEqual(report.deleted.map(user => user.uid), [1, 3])
+    assert.deepStrictEqual(report.conflicts, [])
+    assert.deepStrictEqual(writes.filter(write => write.action === 'delete').map(write => write.uid), [1, 3])
+})
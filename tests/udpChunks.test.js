@@ -0,0 +1,121 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+const EventEmitter = require('events')
+
+const ZUDP = require('../src/zudp')
+const {COMMANDS, MAX_CHUNK_UDP} = require('../src/helper/command')
+
+const quiet = {info() {}, warn() {}, error() {}}
+
+// Three chunks, the last one short
+const DATA = Buffer.alloc(2 * MAX_CHUNK_UDP + 1000)
+for (let i = 0; i < DATA.length; i++) {
+    DATA[i] = i % 251
+}
+
+// Datagrams carry at most this many bytes of a chunk
+const DATAGRAM_SIZE = 4096
+
+const datagram = (commandId, replyId, payload = Buffer.alloc(0)) => {
+    const buf = Buffer.alloc(8 + payload.length)
+    buf.writeUInt16LE(commandId, 0)
+    buf.writeUInt16LE(replyId, 6)
+    payload.copy(buf, 8)
+    return buf
+}
+
+const prepareReply = () => {
+    const payload = Buffer.alloc(5)
+    payload.writeUInt32LE(DATA.length, 1)
+    return datagram(COMMANDS.CMD_PREPARE_DATA, 0, payload)
+}
+
+/**
+ * A UDP socket answering CMD_DATA_RDY from DATA. `lose(request)` decides what goes
+ * missing for the nth request (1-based) of a chunk: 'reply' drops the whole answer,
+ * 'datagram' one of its CMD_DATA datagrams.
+ */
+const fakeSocket = (lose = () => null) => {
+    const socket = new EventEmitter()
+    const attempts = new Map()
+
+    socket.send = (buf, offset, length, port, ip, cb) => {
+        cb(null)
+
+        const replyId = buf.readUInt16LE(6)
+        const start = buf.readUInt32LE(8)
+        const size = buf.readUInt32LE(12)
+        const attempt = (attempts.get(start) || 0) + 1
+        attempts.set(start, attempt)
+
+        const loss = lose({start, attempt})
+        if (loss === 'reply') {
+            return
+        }
+
+        const datagrams = [datagram(COMMANDS.CMD_PREPARE_DATA, replyId)]
+        for (let at = start; at < start + size; at += DATAGRAM_SIZE) {
+            datagrams.push(datagram(COMMANDS.CMD_DATA, replyId, DATA.subarray(at, Math.min(at + DATAGRAM_SIZE, start + size))))
+        }
+        if (loss === 'datagram') {
+            datagrams.splice(2, 1)
+        }
+        datagrams.push(datagram(COMMANDS.CMD_ACK_OK, replyId))
+
+        setImmediate(() => datagrams.forEach(message => socket.emit('message', message)))
+    }
+
+    return {socket, attempts}
+}
+
+const download = (socket, timeout = 30) => {
+    const zudp = new ZUDP('127.0.0.1', 4370, 1000, 5000, 0, {logger: quiet})
+    zudp.sessionId = 1
+    zudp.socket = socket
+    return zudp.handleChunkedData(prepareReply(), COMMANDS.CMD_PREPARE_DATA, null, timeout, 2)
+}
+
+test('handleChunkedData reads every chunk of a clean transfer once', async () => {
+    const {socket, attempts} = fakeSocket()
+
+    const {data, err} = await download(socket)
+
+    assert.strictEqual(err, null)
+    assert.ok(data.equals(DATA))
+    assert.deepStrictEqual([...attempts.values()], [1, 1, 1])
+})
+
+test('handleChunkedData re-requests a chunk that lost a datagram', async () => {
+    const {socket, attempts} = fakeSocket(({start, attempt}) => start === MAX_CHUNK_UDP && attempt === 1 ? 'datagram' : null)
+
+    const {data, err} = await download(socket)
+
+    assert.strictEqual(err, null)
+    assert.ok(data.equals(DATA))
+    assert.strictEqual(attempts.get(MAX_CHUNK_UDP), 2)
+})
+
+test('handleChunkedData re-requests a chunk whose answer never came', async () => {
+    const {socket, attempts} = fakeSocket(({start, attempt}) => start === 0 && attempt <= 2 ? 'reply' : null)
+
+    const {data, err} = await download(socket)
+
+    assert.strictEqual(err, null)
+    assert.ok(data.equals(DATA))
+    assert.strictEqual(attempts.get(0), 3)
+})
+
+test('handleChunkedData gives up after the retries and keeps the contiguous part', async () => {
+    const {socket} = fakeSocket(({start}) => start === MAX_CHUNK_UDP ? 'reply' : null)
+
+    const {data, err} = await download(socket)
+
+    assert.match(err.message, /TIMEOUT WHEN RECEIVING PACKET/)
+    assert.ok(data.equals(DATA.subarray(0, MAX_CHUNK_UDP)))
+})
@@ -0,0 +1,37 @@
+/**
+ *
+ * Author: coding-libs
+ * Date: 2026-10-19
+ */
+
+const {test} = require('node:test')
+const assert = require('node:assert')
+
+const Zkteco = require('../index')
+
+const quiet = {info() {}, warn() {}, error() {}}
+
+// Uids 1 and 2 are taken, the read only returns the first user
+const partialDevice = () => {
+    const device = new Zkteco({ip: '127.0.0.1', logger: quiet, userCache: true})
+    device.connectionType = 'tcp'
+    device.ztcp.socket = {}
+    device.ztcp.getUsers = async () => ({data: [{uid: 1, userId: '100'}], err: new Error('Timed out waiting for chunk 2')})
+    return device
+}
+
+test('getUsers does not cache a partial read', async () => {
+    const device = partialDevice()
+
+    const {err} = await device.getUsers()
+
+    assert.ok(err)
+    assert.strictEqual(device.userDirectory, null)
+})
+
+test('lookups reject instead of using a partial read', async () => {
+    const device = partialDevice()
+
+    await assert.rejects(device.nextFreeUid(), err => err.command === 'GET_USERS')
+    await assert.rejects(device.getUser('200'), err => err.command === 'GET_USERS')
+})